@@ -0,0 +1,82 @@
+// Keyframes look like {"frame": 12, "translate": [0, 1, 0]}. Any field may be keyframed: numbers, and arrays or
+// objects of numbers, are interpolated between the keyframes that set them, anything else holds until the next key.
+
+export function isAnimated(target) {
+  return Array.isArray(target.keyframes) && target.keyframes.length > 0;
+}
+
+// Bezier segments get automatic handles, with tangents from the neighboring keys, flattened at the first and last
+function tangent(frames, values, i) {
+  if (i === 0 || i === values.length - 1) {
+    return 0;
+  }
+  return (values[i + 1] - values[i - 1]) / (frames[i + 1] - frames[i - 1]);
+}
+
+function blend(frames, values, i, t, bezier) {
+  let a = values[i];
+  let b = values[i + 1];
+  if (typeof a === 'number' && typeof b === 'number') {
+    if (!bezier) {
+      return a + (b - a) * t;
+    }
+    let third = (frames[i + 1] - frames[i]) / 3;
+    let c0 = a + tangent(frames, values, i) * third;
+    let c1 = b - tangent(frames, values, i + 1) * third;
+    let s = 1 - t;
+    return s * s * s * a + 3 * s * s * t * c0 + 3 * s * t * t * c1 + t * t * t * b;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.map((_, j) => {
+      return blend(frames, values.map((v) => { return v[j] }), i, t, bezier);
+    });
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    let res = {};
+    Object.keys(a).forEach((key) => {
+      res[key] = blend(frames, values.map((v) => { return v[key] }), i, t, bezier);
+    });
+    return res;
+  }
+  return a;
+}
+
+function sampleTrack(frames, values, frame, bezier) {
+  if (frame <= frames[0]) {
+    return values[0];
+  }
+  for (let i = 0; i < frames.length - 1; i++) {
+    if (frame < frames[i + 1]) {
+      return blend(frames, values, i, (frame - frames[i]) / (frames[i + 1] - frames[i]), bezier);
+    }
+  }
+  return values[values.length - 1];
+}
+
+// interpolation is "linear" or "bezier"
+export function sampleKeyframes(keyframes, frame, interpolation) {
+  let bezier = interpolation === 'bezier';
+  let sorted = Array.from(keyframes).sort((k1, k2) => { return k1.frame - k2.frame });
+  let fields = new Set();
+  sorted.forEach((key) => {
+    Object.keys(key).forEach((field) => {
+      if (field !== 'frame') {
+        fields.add(field);
+      }
+    });
+  });
+  let values = {};
+  fields.forEach((field) => {
+    let keys = sorted.filter((key) => { return key[field] !== undefined });
+    values[field] = sampleTrack(keys.map((key) => { return key.frame }), keys.map((key) => { return key[field] }), frame, bezier);
+  });
+  return values;
+}
+
+// A copy of a prop, or of the scene itself, with its keyframed values at frame
+export function animate(target, frame) {
+  if (!isAnimated(target)) {
+    return target;
+  }
+  return Object.assign({}, target, sampleKeyframes(target.keyframes, frame, target.interpolation));
+}
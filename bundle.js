@@ -0,0 +1,58 @@
+// Binary container for compiled scenes: a JSON header followed by the raw contents of every typed array in it
+const MAGIC = 0x54505346; // "FSPT"
+const VERSION = 9;
+
+const arrayTypes = {
+  Float32Array: Float32Array,
+  Int32Array: Int32Array,
+  Uint32Array: Uint32Array,
+  Uint16Array: Uint16Array,
+  Uint8Array: Uint8Array
+};
+
+function align(offset) {
+  return Math.ceil(offset / 8) * 8;
+}
+
+export function writeBundle(compiled) {
+  let blobs = [];
+  let byteLength = 0;
+  let header = JSON.stringify(compiled, function (key, value) {
+    if (ArrayBuffer.isView(value)) {
+      let offset = align(byteLength);
+      blobs.push({ offset: offset, array: value });
+      byteLength = offset + value.byteLength;
+      return { $array: value.constructor.name, offset: offset, length: value.length };
+    }
+    return value;
+  });
+  let headerBytes = new TextEncoder().encode(header);
+  let dataStart = align(12 + headerBytes.length);
+  let bundle = new Uint8Array(dataStart + byteLength);
+  let view = new DataView(bundle.buffer);
+  view.setUint32(0, MAGIC, true);
+  view.setUint32(4, VERSION, true);
+  view.setUint32(8, headerBytes.length, true);
+  bundle.set(headerBytes, 12);
+  blobs.forEach((blob) => {
+    bundle.set(new Uint8Array(blob.array.buffer, blob.array.byteOffset, blob.array.byteLength), dataStart + blob.offset);
+  });
+  return bundle;
+}
+
+export function readBundle(buffer) {
+  let view = new DataView(buffer);
+  if (view.getUint32(0, true) !== MAGIC || view.getUint32(4, true) !== VERSION) {
+    return null;
+  }
+  let headerLength = view.getUint32(8, true);
+  let header = new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength));
+  let dataStart = align(12 + headerLength);
+  return JSON.parse(header, function (key, value) {
+    if (value && value.$array) {
+      let ArrayType = arrayTypes[value.$array];
+      return new ArrayType(buffer, dataStart + value.offset, value.length);
+    }
+    return value;
+  });
+}
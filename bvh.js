@@ -213,5 +213,64 @@ export class Triangle {
   setNormals(normals) {
     this.normals = normals;
   }
+
+  getArea() {
+    let e1 = Vec3.sub(this.verts[1], this.verts[0]);
+    let e2 = Vec3.sub(this.verts[2], this.verts[0]);
+    return Vec3.magnitude(Vec3.cross(e1, e2)) * 0.5;
+  }
 }
 
+
+/**
+ * Builds the top level of a two level BVH over instance bounds, flattened like buildProp's nodes.
+ * Leaves hold one instance index where bottom level leaves hold their first triangle.
+ * Instances without bounds have no geometry and are left out.
+ */
+export function buildTopLevel(instanceBounds) {
+  let proxies = [];
+  instanceBounds.forEach((bounds, i) => {
+    if (bounds) {
+      let box = new BoundingBox().addVertex(bounds.min).addVertex(bounds.max);
+      proxies.push({ verts: [box.min, box.max], boundingBox: box, instance: i });
+    }
+  });
+  if (proxies.length === 0) {
+    // A root whose children are empty boxes, so nothing is ever hit
+    let empty = new BoundingBox();
+    return [0, 0, -1, ...empty.min, ...empty.max];
+  }
+
+  let nodes = [];
+  function flatten(root) {
+    let index = nodes.length / 9;
+    let box = root.boundingBox;
+    nodes.push(0, 0, root.leaf ? root.getTriangles()[0].instance : -1, ...box.min, ...box.max);
+    if (!root.leaf) {
+      nodes[index * 9] = flatten(root.left);
+      nodes[index * 9 + 1] = flatten(root.right);
+    }
+    return index;
+  }
+
+  let top = new BVH(proxies, 1);
+  console.log("Top level BVH over", proxies.length, "instances.  Depth:", top.depth);
+  flatten(top.root);
+  return nodes;
+}
+
+// Appends a bottom level tree from buildProp, returning the index of its root
+export function appendSubtree(nodes, subNodes, triangleOffset) {
+  let base = nodes.length / 9;
+  for (let i = 0; i < subNodes.length; i += 9) {
+    if (subNodes[i + 2] > -1) {
+      nodes.push(0, 0, subNodes[i + 2] + triangleOffset);
+    } else {
+      nodes.push(subNodes[i] + base, subNodes[i + 1] + base, -1);
+    }
+    for (let j = 3; j < 9; j++) {
+      nodes.push(subNodes[i + j]);
+    }
+  }
+  return base;
+}
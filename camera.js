@@ -0,0 +1,60 @@
+// A camera in photographic terms, on top of the tracer's own fovScale, apertureSize and exposure. A focalLength in
+// millimetres frames the largest part of the sensor with the image's aspect, an fNumber opens the aperture to the
+// focal length over it, and a shutter time in seconds or an ISO meters the exposure. Scene units are taken as metres.
+
+export const defaultSensor = [36, 24];
+const defaultShutter = 1 / 100;
+const defaultIso = 100;
+const defaultFNumber = 8;
+const degrees = Math.PI / 180;
+
+// The height of the sensor that ends up in the image, in millimetres
+function getFilmHeight(camera, aspect) {
+  let sensor = camera.sensorSize || defaultSensor;
+  return Math.min(sensor[0] / aspect, sensor[1]);
+}
+
+/**
+ * The tangent of half the vertical field of view, and the horizontal one's, widened by an anamorphic lens' squeeze
+ * once the image is stretched back out
+ */
+export function getFovScale(camera, aspect) {
+  let fovScale = camera.focalLength ? getFilmHeight(camera, aspect) / (2 * camera.focalLength) : camera.fovScale;
+  return [fovScale * (camera.anamorphic || 1), fovScale];
+}
+
+// The focal length the field of view amounts to when the camera has none of its own
+export function getFocalLength(camera, aspect) {
+  return camera.focalLength || getFilmHeight(camera, aspect) / (2 * camera.fovScale);
+}
+
+// apertureSize is already in the tracer's units, and scale turns the metres an f-number gives into them
+export function getApertureRadius(camera, aspect, scale = 1) {
+  if (!camera.fNumber) {
+    return camera.apertureSize;
+  }
+  return getFocalLength(camera, aspect) / (2 * camera.fNumber) / 1000 * scale;
+}
+
+/**
+ * The number of blades, 0 for a round aperture, their rotation in radians, the anamorphic squeeze and how much of the
+ * aperture the lens barrel cuts off towards the corners, for camera.fs
+ */
+export function getAperture(camera) {
+  let blades = camera.apertureBlades >= 3 ? Math.floor(camera.apertureBlades) : 0;
+  return [blades, (camera.apertureRotation || 0) * degrees, camera.anamorphic || 1, camera.catsEye || 0];
+}
+
+/**
+ * The factor metered radiance is scaled by, 1 unless the camera has a shutter time or ISO. It follows the saturation
+ * based exposure of Lagarde and de Rousiers' "Moving Frostbite to Physically Based Rendering", with radiance in the
+ * kilocandelas per square metre of the sky, so f/16 at 1/100s and ISO 100 suits a sunny day.
+ */
+export function getExposure(camera) {
+  if (!camera.shutter && !camera.iso) {
+    return 1;
+  }
+  let fNumber = camera.fNumber || defaultFNumber;
+  let ev100 = Math.log2(fNumber * fNumber / (camera.shutter || defaultShutter) * 100 / (camera.iso || defaultIso));
+  return 1000 / (1.2 * Math.pow(2, ev100));
+}
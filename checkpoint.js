@@ -0,0 +1,60 @@
+import {
+  readBundle,
+  writeBundle
+} from './bundle.js'
+
+// Checkpoints of a render's accumulation buffers, so a long render can resume after a crash or a reload.
+// They're kept in IndexedDB, one per scene, and can be written to a file in the bundle format.
+
+const databaseName = 'fspt';
+const storeName = 'checkpoints';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    let req = indexedDB.open(databaseName, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(storeName);
+    };
+    req.onsuccess = () => { resolve(req.result) };
+    req.onerror = () => { reject(req.error) };
+  });
+}
+
+async function transact(mode, action) {
+  let db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    let tx = db.transaction(storeName, mode);
+    let req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(req.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+export function saveCheckpoint(key, checkpoint) {
+  return transact('readwrite', (store) => { return store.put(checkpoint, key) });
+}
+
+// Resolves to undefined when there is no checkpoint for key
+export function loadCheckpoint(key) {
+  return transact('readonly', (store) => { return store.get(key) });
+}
+
+export function deleteCheckpoint(key) {
+  return transact('readwrite', (store) => { return store.delete(key) });
+}
+
+export function encodeCheckpoint(checkpoint) {
+  return writeBundle(checkpoint);
+}
+
+// Returns null for anything that isn't a checkpoint
+export function decodeCheckpoint(buffer) {
+  let checkpoint = readBundle(buffer);
+  return checkpoint && checkpoint.state ? checkpoint : null;
+}
@@ -1,24 +1,88 @@
+import {
+    decodeHdr,
+    decodeExr,
+    decodeRgbe
+} from './hdr_loader.js'
+import {
+    isSky,
+    bakeSky
+} from './sky.js'
+import {
+    Vec3
+} from './vector.js'
+
+// Environments decoded by loadEnvironment, by the asset or scene entry they came from
+const decoded = new WeakMap();
+
+// Gradients are a single column of 2048 texels, interpolated between evenly spaced stops
+function createGradient(stops) {
+    const height = 2048;
+    let data = new Float32Array(height * 3);
+    let rangePixels = height / (stops.length - 1);
+    for (let i = 0; i < height; i++) {
+        let stopIdx = Math.floor(i / rangePixels);
+        let sigma = (i % rangePixels) / rangePixels;
+        data.set(Vec3.lerp(stops[stopIdx], stops[stopIdx + 1], sigma), i * 3);
+    }
+    return { width: 1, height: height, data: data };
+}
+
+// An RGBE PNG is an Image, or an already decoded {width, height, data} RGBA8 record when there is no DOM
+function decodeRgbePng(img) {
+    let data = img.data;
+    if (!data) {
+        let canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        let ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, img.width, img.height);
+        data = ctx.getImageData(0, 0, img.width, img.height).data;
+    }
+    return decodeRgbe(data, img.width, img.height);
+}
+
+async function decodeEnvironment(environment, assets) {
+    if (isSky(environment)) {
+        return bakeSky(environment);
+    } else if (Array.isArray(environment)) {
+        return createGradient(environment);
+    } else if (typeof environment !== 'string') {
+        throw new Error("Unknown environment type " + environment.type);
+    }
+    let asset = assets[environment];
+    let file = environment.split('?')[0].toLowerCase();
+    if (file.endsWith('.hdr')) {
+        return decodeHdr(asset);
+    } else if (file.endsWith('.exr')) {
+        return decodeExr(asset);
+    }
+    return decodeRgbePng(asset);
+}
+
+/**
+ * The scene's environment as a {width, height, data} record of linear RGB floats, the top row first: an .hdr, .exr
+ * or RGBE PNG from assets, a procedural sky, a gradient, or black when there is none.
+ */
+export async function loadEnvironment(environment, assets) {
+    if (!environment) {
+        return createGradient([[0, 0, 0], [0, 0, 0]]);
+    }
+    let key = typeof environment === 'string' ? assets[environment] : environment;
+    if (!decoded.has(key)) {
+        decoded.set(key, await decodeEnvironment(environment, assets));
+    }
+    return decoded.get(key);
+}
+
+// img is a float environment from loadEnvironment
 export function ProcessEnvRadiance(img) {
     function luma(c) {
         return 0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2];
     }
 
-    function pixelAt(data, width, px, py) {
-        let color = [0, 0, 0, 0];
-        for (let i = 0; i < 4; i++) {
-            color[i] = data[((py * (width * 4)) + (px * 4)) + i];
-        }
-        return color;
-    }
-
     function getRadiance(data, width, x, y) {
-        let normalized = [0, 0, 0]
-        let color = pixelAt(data, img.width, x, y);
-        let power = Math.pow(2.0, color[3] - 128);
-        normalized[0] = power * color[0] / 255.0;
-        normalized[1] = power * color[1] / 255.0;
-        normalized[2] = power * color[2] / 255.0;
-        return luma(normalized);
+        let i = (y * width + x) * 3;
+        return luma([data[i], data[i + 1], data[i + 2]]);
     }
 
     function biTreeSplitting(data, imgWidth, totalRadiance, minRadiance, xmin, ymin, xmax, ymax) {
@@ -52,13 +116,7 @@ export function ProcessEnvRadiance(img) {
         return boxes;
     }
 
-    let canvas = document.createElement('canvas')
-    canvas.width = img.width;
-    canvas.height = img.height;
-    let ctx = canvas.getContext('2d');
-    ctx.drawImage(img, 0, 0, img.width, img.height);
-    let pixels = ctx.getImageData(0, 0, img.width, img.height);
-    let data = pixels.data;
+    let data = img.data;
     let totalRadiance = 0;
     let brightestTexel = 0;
     for (let y = 0; y < img.height; y++) {
@@ -72,3 +130,23 @@ export function ProcessEnvRadiance(img) {
     let boxes = biTreeSplitting(data, img.width, totalRadiance, minRadiance, 0, 0, img.width, img.height);
     return new Uint16Array(boxes)
 }
+
+/**
+ * The pdf of sampling each texel's direction from the bins, leaving out the sine of its polar angle, so the tracer
+ * looks it up with one fetch instead of searching the bins
+ */
+export function getBinPdfs(radianceBins, width, height) {
+    let pdfs = new Float32Array(width * height);
+    let nominal = width * height / (radianceBins.length / 4);
+    for (let i = 0; i < radianceBins.length; i += 4) {
+        let x0 = radianceBins[i];
+        let y0 = radianceBins[i + 1];
+        let x1 = radianceBins[i + 2];
+        let y1 = radianceBins[i + 3];
+        let pdf = nominal / ((x1 - x0) * (y1 - y0) * 2 * Math.PI * Math.PI);
+        for (let y = y0; y < y1; y++) {
+            pdfs.fill(pdf, y * width + x0, y * width + x1);
+        }
+    }
+    return pdfs;
+}
@@ -0,0 +1,353 @@
+import { Triangle } from './bvh.js'
+import { Vec3, Mat4 } from './vector.js'
+import { applyPropTransforms, getNormal, averageNormals, calcTangents } from './obj_loader.js'
+import * as Utility from './utility.js'
+
+const GLB_MAGIC = 0x46546C67;
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+const componentArrays = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array
+};
+
+const componentCounts = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+function parseGLB(buffer) {
+  let view = new DataView(buffer);
+  if (view.getUint32(0, true) !== GLB_MAGIC) {
+    throw "Not a binary glTF file";
+  }
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset < view.byteLength) {
+    let length = view.getUint32(offset, true);
+    let type = view.getUint32(offset + 4, true);
+    if (type === CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, offset + 8, length)));
+    } else if (type === CHUNK_BIN) {
+      bin = buffer.slice(offset + 8, offset + 8 + length);
+    }
+    offset += 8 + length;
+  }
+  return { json: json, bin: bin };
+}
+
+function decodeDataUri(uri) {
+  let binary = atob(uri.split(',')[1]);
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function readAccessor(gltf, buffers, index) {
+  let accessor = gltf.accessors[index];
+  let count = componentCounts[accessor.type];
+  let ArrayType = componentArrays[accessor.componentType];
+  let elements = [];
+  if (accessor.bufferView === undefined) {
+    // Accessors without a buffer view are zero filled, only sparse data could change that
+    for (let i = 0; i < accessor.count; i++) {
+      elements.push(Array(count).fill(0));
+    }
+    return elements;
+  }
+  let bufferView = gltf.bufferViews[accessor.bufferView];
+  let buffer = buffers[bufferView.buffer];
+  let byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+  let stride = bufferView.byteStride || count * ArrayType.BYTES_PER_ELEMENT;
+  let normalizer = 1;
+  if (accessor.normalized) {
+    normalizer = Math.pow(2, ArrayType.BYTES_PER_ELEMENT * 8 - (ArrayType === Int8Array || ArrayType === Int16Array ? 1 : 0)) - 1;
+  }
+  for (let i = 0; i < accessor.count; i++) {
+    let element = new ArrayType(buffer, byteOffset + i * stride, count);
+    elements.push(Array.from(element).map((e) => { return e / normalizer }));
+  }
+  return elements;
+}
+
+function triangulate(mode, count) {
+  let indices = [];
+  switch (mode === undefined ? 4 : mode) {
+    case 4:
+      for (let i = 0; i + 2 < count; i += 3) {
+        indices.push([i, i + 1, i + 2]);
+      }
+      break;
+    case 5:
+      for (let i = 0; i + 2 < count; i++) {
+        indices.push(i % 2 === 0 ? [i, i + 1, i + 2] : [i + 1, i, i + 2]);
+      }
+      break;
+    case 6:
+      for (let i = 1; i + 1 < count; i++) {
+        indices.push([0, i, i + 1]);
+      }
+      break;
+  }
+  return indices;
+}
+
+function getNodeMatrix(node) {
+  if (node.matrix) {
+    return node.matrix;
+  }
+  return Mat4.fromTRS(node.translation, node.rotation, node.scale);
+}
+
+// Translate a glTF material into the MTL style keys getMaterial consumes
+function parseMaterial(gltf, index, imageKeys) {
+  let material = {};
+  if (index === undefined) {
+    return material;
+  }
+  let gltfMaterial = gltf.materials[index];
+  let pbr = gltfMaterial.pbrMetallicRoughness || {};
+  let extensions = gltfMaterial.extensions || {};
+
+  function textureKey(info) {
+    return info ? imageKeys[gltf.textures[info.index].source] : null;
+  }
+
+  // The base color texture is multiplied by the factor, alpha included
+  if (pbr.baseColorTexture) {
+    material["map_kd"] = textureKey(pbr.baseColorTexture);
+    material["map_kd_factor"] = pbr.baseColorFactor || [1, 1, 1, 1];
+  } else {
+    material["kd"] = (pbr.baseColorFactor || [1, 1, 1, 1]).slice(0, 3);
+  }
+
+  // Masked materials are cut out below the cutoff, and blended ones are seen through in proportion
+  if (gltfMaterial.alphaMode === 'MASK' || gltfMaterial.alphaMode === 'BLEND') {
+    if (pbr.baseColorTexture) {
+      material["map_d"] = material["map_kd"];
+    } else {
+      material["d"] = (pbr.baseColorFactor || [1, 1, 1, 1])[3];
+    }
+    if (gltfMaterial.alphaMode === 'MASK') {
+      material["alpha_cutoff"] = gltfMaterial.alphaCutoff === undefined ? 0.5 : gltfMaterial.alphaCutoff;
+    }
+  }
+
+  if (pbr.metallicRoughnessTexture) {
+    material["map_pmr"] = textureKey(pbr.metallicRoughnessTexture);
+    // Metalness lives in blue and roughness in green
+    material["pmr_swizzle"] = [2, 1, 0, 3];
+  } else {
+    let metallic = pbr.metallicFactor === undefined ? 1 : pbr.metallicFactor;
+    let roughness = pbr.roughnessFactor === undefined ? 1 : pbr.roughnessFactor;
+    material["pmr"] = [metallic, roughness, 0];
+  }
+
+  if (gltfMaterial.normalTexture) {
+    material["map_bump"] = textureKey(gltfMaterial.normalTexture);
+  }
+
+  let emissiveStrength = extensions.KHR_materials_emissive_strength ? extensions.KHR_materials_emissive_strength.emissiveStrength : 1;
+  // The emissive factor defaults to black, which leaves an emissive texture dark, so it's only used with a factor
+  let emissiveFactor = gltfMaterial.emissiveFactor || [0, 0, 0];
+  if (gltfMaterial.emissiveTexture && emissiveFactor.some((c) => { return c > 0 })) {
+    material["map_ke"] = textureKey(gltfMaterial.emissiveTexture);
+  }
+  if (gltfMaterial.emissiveFactor) {
+    material["ke"] = Vec3.scale(gltfMaterial.emissiveFactor, emissiveStrength);
+  }
+
+  if (extensions.KHR_materials_ior) {
+    material["ior"] = extensions.KHR_materials_ior.ior;
+  }
+  if (extensions.KHR_materials_transmission && extensions.KHR_materials_transmission.transmissionFactor > 0) {
+    material["transmission"] = extensions.KHR_materials_transmission.transmissionFactor;
+  }
+  let volume = extensions.KHR_materials_volume;
+  if (volume && volume.attenuationDistance) {
+    material["tf"] = volume.attenuationColor || [1, 1, 1];
+    material["absorption_distance"] = volume.attenuationDistance;
+  }
+  if (extensions.KHR_materials_clearcoat) {
+    material["pc"] = extensions.KHR_materials_clearcoat.clearcoatFactor || 0;
+    material["pcr"] = extensions.KHR_materials_clearcoat.clearcoatRoughnessFactor || 0;
+  }
+  // Sheen is tinted by the base color rather than its own, so only its strength carries over
+  if (extensions.KHR_materials_sheen) {
+    material["ps"] = Math.max(...(extensions.KHR_materials_sheen.sheenColorFactor || [0, 0, 0]));
+    material["sheen_tint"] = 0;
+  }
+  // Rotations are in radians from the tangent, and ours in turns
+  if (extensions.KHR_materials_anisotropy) {
+    material["aniso"] = extensions.KHR_materials_anisotropy.anisotropyStrength || 0;
+    material["anisor"] = (extensions.KHR_materials_anisotropy.anisotropyRotation || 0) / (Math.PI * 2);
+  }
+  return material;
+}
+
+function parseCamera(gltf, node, matrix, transforms, worldTransforms) {
+  let camera = gltf.cameras[node.camera];
+  let position = applyPropTransforms(Mat4.transformPoint(matrix, [0, 0, 0]), transforms, worldTransforms);
+  let direction = Vec3.normalize(applyPropTransforms(Mat4.transformDirection(matrix, [0, 0, -1]), transforms, worldTransforms, true));
+  let parsed = { name: camera.name || node.name, position: position, direction: direction };
+  if (camera.type === 'perspective' && camera.perspective) {
+    parsed.fovScale = Math.tan(camera.perspective.yfov / 2);
+  }
+  return parsed;
+}
+
+export async function parseMesh(gltfData, transforms, worldTransforms, basePath) {
+  let gltf;
+  let buffers = [];
+  let glbBuffer = null;
+  if (typeof gltfData === 'string') {
+    gltf = JSON.parse(gltfData);
+  } else {
+    let glb = parseGLB(gltfData);
+    gltf = glb.json;
+    glbBuffer = glb.bin;
+  }
+
+  for (let i = 0; i < (gltf.buffers || []).length; i++) {
+    let uri = gltf.buffers[i].uri;
+    if (uri === undefined) {
+      buffers.push(glbBuffer);
+    } else if (uri.startsWith('data:')) {
+      buffers.push(decodeDataUri(uri));
+    } else {
+      buffers.push(await Utility.getBinary(basePath + '/' + uri));
+    }
+  }
+
+  // External images are downloaded by the caller, embedded ones are handed back still encoded
+  let urls = new Set();
+  let images = {};
+  let imageKeys = [];
+  for (let i = 0; i < (gltf.images || []).length; i++) {
+    let image = gltf.images[i];
+    if (image.uri && !image.uri.startsWith('data:')) {
+      let key = decodeURIComponent(image.uri);
+      urls.add(basePath + '/' + key);
+      imageKeys.push(key);
+    } else {
+      let key = transforms.path.split('/').pop() + '#image' + i;
+      let bytes;
+      if (image.uri) {
+        bytes = new Uint8Array(decodeDataUri(image.uri));
+      } else {
+        let bufferView = gltf.bufferViews[image.bufferView];
+        bytes = new Uint8Array(buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength).slice();
+      }
+      images[basePath + '/' + key] = { bytes: bytes, mimeType: image.mimeType || 'image/png' };
+      imageKeys.push(key);
+    }
+  }
+
+  let groups = {};
+  let cameras = [];
+  let bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+
+  function getGroup(materialIndex) {
+    let name = materialIndex === undefined ? "FSPT_DEFAULT_GROUP" : materialIndex + ':' + (gltf.materials[materialIndex].name || '');
+    if (!groups[name]) {
+      groups[name] = { triangles: [], material: parseMaterial(gltf, materialIndex, imageKeys) };
+    }
+    return groups[name];
+  }
+
+  function parsePrimitive(primitive, matrix) {
+    if (primitive.mode !== undefined && primitive.mode < 4) {
+      // Points and lines have no surface to render
+      return;
+    }
+    let normalMatrix = Mat4.transpose(Mat4.invert(matrix));
+    let positions = readAccessor(gltf, buffers, primitive.attributes.POSITION).map((p) => {
+      return applyPropTransforms(Mat4.transformPoint(matrix, p), transforms, worldTransforms);
+    });
+    let meshNormals = primitive.attributes.NORMAL === undefined ? null : readAccessor(gltf, buffers, primitive.attributes.NORMAL).map((n) => {
+      return Vec3.normalize(applyPropTransforms(Mat4.transformDirection(normalMatrix, n), transforms, worldTransforms, true));
+    });
+    // glTF puts the uv origin in the top left, flip it to match OBJ
+    let uvs = primitive.attributes.TEXCOORD_0 === undefined ? null : readAccessor(gltf, buffers, primitive.attributes.TEXCOORD_0).map((uv) => {
+      return [uv[0], 1 - uv[1]];
+    });
+    let indexList = primitive.indices === undefined ? null : readAccessor(gltf, buffers, primitive.indices).map((i) => { return i[0] });
+    let faces = triangulate(primitive.mode, indexList ? indexList.length : positions.length);
+    // Negative scales flip the winding
+    let det = Vec3.dot(Vec3.cross(matrix.slice(0, 3), matrix.slice(4, 7)), matrix.slice(8, 11));
+    let group = getGroup(primitive.material);
+    let useMeshNormals = meshNormals && transforms.normals !== "flat" && transforms.normals !== "smooth";
+    let vertNormals = [];
+    let triangles = [];
+
+    faces.forEach((face) => {
+      let indices = indexList ? face.map((i) => { return indexList[i] }) : face;
+      if (det < 0) {
+        indices = [indices[0], indices[2], indices[1]];
+      }
+      let tri = new Triangle(
+        indices.map((i) => { return positions[i] }),
+        indices,
+        indices.map((i) => { return uvs ? uvs[i] : undefined }),
+        transforms
+      );
+      tri.verts.forEach((vert) => {
+        bounds.max = Vec3.max(bounds.max, vert);
+        bounds.min = Vec3.min(bounds.min, vert);
+      });
+      if (useMeshNormals) {
+        tri.setNormals(indices.map((i) => { return meshNormals[i] }));
+      } else {
+        let normal = getNormal(tri);
+        tri.setNormals([normal, normal, normal]);
+        indices.forEach((i) => {
+          if (!vertNormals[i]) {
+            vertNormals[i] = [];
+          }
+          vertNormals[i].push(normal);
+        });
+      }
+      triangles.push(tri);
+    });
+
+    triangles.forEach((tri) => {
+      if (transforms.normals === "smooth") {
+        tri.normals = tri.indices.map((i) => { return averageNormals(vertNormals[i]) });
+      }
+      calcTangents(tri);
+      group.triangles.push(tri);
+    });
+  }
+
+  function traverse(nodeIndex, parentMatrix) {
+    let node = gltf.nodes[nodeIndex];
+    let matrix = Mat4.multiply(parentMatrix, getNodeMatrix(node));
+    if (node.mesh !== undefined) {
+      gltf.meshes[node.mesh].primitives.forEach((primitive) => {
+        parsePrimitive(primitive, matrix);
+      });
+    }
+    if (node.camera !== undefined) {
+      cameras.push(parseCamera(gltf, node, matrix, transforms, worldTransforms));
+    }
+    (node.children || []).forEach((child) => {
+      traverse(child, matrix);
+    });
+  }
+
+  let scene = gltf.scenes ? gltf.scenes[gltf.scene || 0] : { nodes: (gltf.nodes || []).map((_, i) => { return i }) };
+  scene.nodes.forEach((nodeIndex) => {
+    traverse(nodeIndex, Mat4.identity());
+  });
+
+  Object.entries(groups).forEach((pair) => {
+    console.log(transforms.path, pair[0], pair[1].triangles.length, "triangles");
+  });
+
+  return new Promise(resolve => { resolve({ groups: groups, urls: urls, bounds: bounds, images: images, cameras: cameras }) });
+}
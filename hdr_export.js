@@ -0,0 +1,242 @@
+// Encoders for linear float images: {width, height, data}, with RGBA data and the top row first.
+// options.samples is written into the file's metadata when given.
+
+const floatView = new Float32Array(1);
+const intView = new Uint32Array(floatView.buffer);
+
+function floatToHalf(value) {
+  floatView[0] = value;
+  let x = intView[0];
+  let sign = (x >>> 16) & 0x8000;
+  let exponent = (x >>> 23) & 0xff;
+  let mantissa = x & 0x7fffff;
+  if (exponent === 0xff) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  let halfExponent = exponent - 127 + 15;
+  if (halfExponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+  if (halfExponent <= 0) {
+    if (halfExponent < -10) {
+      return sign;
+    }
+    // Subnormal, with the implicit leading bit shifted into the mantissa
+    mantissa |= 0x800000;
+    let shift = 14 - halfExponent;
+    let half = mantissa >> shift;
+    if ((mantissa >> (shift - 1)) & 1) {
+      half++;
+    }
+    return sign | half;
+  }
+  let half = sign | (halfExponent << 10) | (mantissa >> 13);
+  // Round to nearest, a carry out of the mantissa correctly bumps the exponent
+  if (mantissa & 0x1000) {
+    half++;
+  }
+  return half;
+}
+
+class ByteWriter {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  string(value) {
+    for (let i = 0; i < value.length; i++) {
+      this.bytes[this.offset++] = value.charCodeAt(i);
+    }
+    this.bytes[this.offset++] = 0;
+  }
+
+  uint8(value) {
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  int32(value) {
+    this.view.setInt32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  float32(value) {
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  uint64(value) {
+    this.view.setBigUint64(this.offset, BigInt(value), true);
+    this.offset += 8;
+  }
+
+  half(value) {
+    this.view.setUint16(this.offset, floatToHalf(value), true);
+    this.offset += 2;
+  }
+
+  attribute(name, type, size, write) {
+    this.string(name);
+    this.string(type);
+    this.int32(size);
+    write();
+  }
+}
+
+/**
+ * Uncompressed scanline OpenEXR with B, G and R channels, as 32 bit floats or halves when options.half is set
+ */
+export function encodeExr(image, options = {}) {
+  let { width, height, data } = image;
+  let channels = ['B', 'G', 'R'];
+  let pixelSize = options.half ? 2 : 4;
+  let lineSize = width * channels.length * pixelSize;
+  let headerSize = 1024;
+  let writer = new ByteWriter(headerSize + height * (8 + 8 + lineSize));
+
+  writer.int32(20000630);
+  writer.int32(2);
+  writer.attribute('channels', 'chlist', channels.length * 18 + 1, () => {
+    channels.forEach((name) => {
+      writer.string(name);
+      writer.int32(options.half ? 1 : 2);
+      writer.int32(0);
+      writer.int32(1);
+      writer.int32(1);
+    });
+    writer.uint8(0);
+  });
+  writer.attribute('compression', 'compression', 1, () => { writer.uint8(0) });
+  ['dataWindow', 'displayWindow'].forEach((name) => {
+    writer.attribute(name, 'box2i', 16, () => {
+      [0, 0, width - 1, height - 1].forEach((value) => { writer.int32(value) });
+    });
+  });
+  writer.attribute('lineOrder', 'lineOrder', 1, () => { writer.uint8(0) });
+  writer.attribute('pixelAspectRatio', 'float', 4, () => { writer.float32(1) });
+  writer.attribute('screenWindowCenter', 'v2f', 8, () => {
+    writer.float32(0);
+    writer.float32(0);
+  });
+  writer.attribute('screenWindowWidth', 'float', 4, () => { writer.float32(1) });
+  if (options.samples !== undefined) {
+    writer.attribute('samples', 'int', 4, () => { writer.int32(options.samples) });
+  }
+  writer.uint8(0);
+
+  let tableStart = writer.offset;
+  writer.offset += height * 8;
+  let offsets = [];
+  for (let y = 0; y < height; y++) {
+    offsets.push(writer.offset);
+    writer.int32(y);
+    writer.int32(lineSize);
+    // Channels are stored one after another in alphabetical order
+    [2, 1, 0].forEach((channel) => {
+      for (let x = 0; x < width; x++) {
+        let value = data[(y * width + x) * 4 + channel];
+        if (options.half) {
+          writer.half(value);
+        } else {
+          writer.float32(value);
+        }
+      }
+    });
+  }
+  let end = writer.offset;
+  writer.offset = tableStart;
+  offsets.forEach((offset) => { writer.uint64(offset) });
+  return writer.bytes.subarray(0, end);
+}
+
+function toRGBE(r, g, b, out, offset) {
+  let v = Math.max(r, g, b);
+  if (!(v > 1e-32)) {
+    out.fill(0, offset, offset + 4);
+    return;
+  }
+  let exponent = Math.floor(Math.log2(v)) + 1;
+  let scale = Math.pow(2, -exponent) * 256;
+  if (v * scale >= 256) {
+    exponent++;
+    scale /= 2;
+  }
+  out[offset] = Math.max(0, r) * scale;
+  out[offset + 1] = Math.max(0, g) * scale;
+  out[offset + 2] = Math.max(0, b) * scale;
+  out[offset + 3] = exponent + 128;
+}
+
+// Radiance's run length encoding of one component: runs of 4 or more, up to 127, and literal spans of up to 128
+function encodeComponent(bytes, out) {
+  let push = (value) => { out.bytes[out.offset++] = value };
+  let n = bytes.length;
+  let i = 0;
+  while (i < n) {
+    let runStart = i;
+    let runCount = 0;
+    while (runStart < n) {
+      runCount = 1;
+      while (runStart + runCount < n && runCount < 127 && bytes[runStart + runCount] === bytes[runStart]) {
+        runCount++;
+      }
+      if (runCount >= 4) {
+        break;
+      }
+      runStart += runCount;
+    }
+    while (i < runStart) {
+      let count = Math.min(128, runStart - i);
+      push(count);
+      out.bytes.set(bytes.subarray(i, i + count), out.offset);
+      out.offset += count;
+      i += count;
+    }
+    if (runStart < n) {
+      push(128 + runCount);
+      push(bytes[runStart]);
+      i = runStart + runCount;
+    }
+  }
+}
+
+/**
+ * Radiance RGBE, run length encoded when the width allows it
+ */
+export function encodeHdr(image, options = {}) {
+  let { width, height, data } = image;
+  let header = "#?RADIANCE\n# Written by FSPT\nFORMAT=32-bit_rle_rgbe\n";
+  if (options.samples !== undefined) {
+    header += "SAMPLES=" + options.samples + "\n";
+  }
+  header += "\n-Y " + height + " +X " + width + "\n";
+  // Literal spans cost one extra byte per 128, the worst case for run length encoding
+  let out = { bytes: new Uint8Array(header.length + height * 4 * (1 + width + Math.ceil(width / 128))), offset: 0 };
+  out.bytes.set(Array.from(header, (c) => { return c.charCodeAt(0) }));
+  out.offset = header.length;
+  let line = new Uint8Array(width * 4);
+  let component = new Uint8Array(width);
+  let encode = width >= 8 && width <= 0x7fff;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let i = (y * width + x) * 4;
+      toRGBE(data[i], data[i + 1], data[i + 2], line, x * 4);
+    }
+    if (!encode) {
+      out.bytes.set(line, out.offset);
+      out.offset += line.length;
+      continue;
+    }
+    out.bytes.set([2, 2, width >> 8, width & 0xff], out.offset);
+    out.offset += 4;
+    for (let c = 0; c < 4; c++) {
+      for (let x = 0; x < width; x++) {
+        component[x] = line[x * 4 + c];
+      }
+      encodeComponent(component, out);
+    }
+  }
+  return out.bytes.subarray(0, out.offset);
+}
@@ -0,0 +1,247 @@
+// Decoders for float environment maps: Radiance .hdr and scanline OpenEXR files become {width, height, data}
+// records with linear RGB Float32Array data and the top row first.
+
+const compressions = { none: 0, rle: 1, zips: 2, zip: 3 };
+// Scanlines per compressed block, by compression
+const blockLines = [1, 1, 1, 16];
+
+const halfView = new Uint32Array(1);
+const halfFloat = new Float32Array(halfView.buffer);
+
+export function halfToFloat(half) {
+  let sign = (half & 0x8000) << 16;
+  let exponent = (half >>> 10) & 0x1f;
+  let mantissa = half & 0x3ff;
+  if (exponent === 0) {
+    // Subnormal, 2^-24 for each step of the mantissa
+    return (sign ? -1 : 1) * mantissa * 5.960464477539063e-8;
+  }
+  if (exponent === 0x1f) {
+    halfView[0] = sign | 0x7f800000 | (mantissa << 13);
+  } else {
+    halfView[0] = sign | ((exponent - 15 + 127) << 23) | (mantissa << 13);
+  }
+  return halfFloat[0];
+}
+
+/**
+ * RGBE texels, in bytes with a stride of 4, to linear floats like Radiance does.
+ */
+export function decodeRgbe(bytes, width, height) {
+  let data = new Float32Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    let exponent = bytes[i * 4 + 3];
+    let scale = exponent ? Math.pow(2, exponent - 136) : 0;
+    data[i * 3] = bytes[i * 4] * scale;
+    data[i * 3 + 1] = bytes[i * 4 + 1] * scale;
+    data[i * 3 + 2] = bytes[i * 4 + 2] * scale;
+  }
+  return { width: width, height: height, data: data };
+}
+
+function readLine(bytes, offset) {
+  let end = bytes.indexOf(10, offset);
+  if (end < 0) {
+    throw new Error("Truncated .hdr header");
+  }
+  return { text: String.fromCharCode(...bytes.subarray(offset, end)), next: end + 1 };
+}
+
+// A scanline is either flat RGBE, or the four components one after another, each as runs and literal spans
+function readHdrScanline(bytes, offset, width, out) {
+  if (width < 8 || width > 0x7fff || bytes[offset] !== 2 || bytes[offset + 1] !== 2 || bytes[offset + 2] & 0x80) {
+    out.set(bytes.subarray(offset, offset + width * 4));
+    return offset + width * 4;
+  }
+  if (((bytes[offset + 2] << 8) | bytes[offset + 3]) !== width) {
+    throw new Error("Bad .hdr scanline width");
+  }
+  offset += 4;
+  for (let component = 0; component < 4; component++) {
+    let x = 0;
+    while (x < width) {
+      let count = bytes[offset++];
+      if (count > 128) {
+        let value = bytes[offset++];
+        for (let i = 0; i < count - 128; i++) {
+          out[(x++) * 4 + component] = value;
+        }
+      } else {
+        for (let i = 0; i < count; i++) {
+          out[(x++) * 4 + component] = bytes[offset++];
+        }
+      }
+    }
+  }
+  return offset;
+}
+
+/**
+ * Radiance .hdr, with its usual -Y height +X width orientation
+ */
+export function decodeHdr(buffer) {
+  let bytes = new Uint8Array(buffer);
+  let line = readLine(bytes, 0);
+  if (!line.text.startsWith('#?')) {
+    throw new Error("Not a Radiance .hdr file");
+  }
+  while (line.text.length > 0) {
+    if (line.text.startsWith('FORMAT=') && line.text !== 'FORMAT=32-bit_rle_rgbe') {
+      throw new Error("Unsupported .hdr " + line.text);
+    }
+    line = readLine(bytes, line.next);
+  }
+  line = readLine(bytes, line.next);
+  let size = line.text.match(/^-Y (\d+) \+X (\d+)$/);
+  if (!size) {
+    throw new Error("Unsupported .hdr orientation " + line.text);
+  }
+  let height = parseInt(size[1]);
+  let width = parseInt(size[2]);
+  let rgbe = new Uint8Array(width * height * 4);
+  let offset = line.next;
+  for (let y = 0; y < height; y++) {
+    offset = readHdrScanline(bytes, offset, width, rgbe.subarray(y * width * 4, (y + 1) * width * 4));
+  }
+  return decodeRgbe(rgbe, width, height);
+}
+
+function readString(bytes, offset) {
+  let end = bytes.indexOf(0, offset);
+  return { text: String.fromCharCode(...bytes.subarray(offset, end)), next: end + 1 };
+}
+
+function readExrHeader(view, bytes) {
+  if (view.getUint32(0, true) !== 20000630) {
+    throw new Error("Not an OpenEXR file");
+  }
+  if (view.getUint32(4, true) & 0x1e00) {
+    throw new Error("Only single part scanline OpenEXR files are supported");
+  }
+  let header = {};
+  let offset = 8;
+  for (;;) {
+    let name = readString(bytes, offset);
+    if (!name.text) {
+      header.end = name.next;
+      return header;
+    }
+    let type = readString(bytes, name.next);
+    let size = view.getInt32(type.next, true);
+    let start = type.next + 4;
+    if (type.text === 'chlist') {
+      header.channels = [];
+      let at = start;
+      while (bytes[at]) {
+        let channel = readString(bytes, at);
+        header.channels.push({ name: channel.text, type: view.getInt32(channel.next, true) });
+        at = channel.next + 16;
+      }
+    } else if (type.text === 'compression') {
+      header.compression = bytes[start];
+    } else if (name.text === 'dataWindow') {
+      header.dataWindow = [0, 1, 2, 3].map((i) => { return view.getInt32(start + i * 4, true) });
+    }
+    offset = start + size;
+  }
+}
+
+async function inflate(bytes) {
+  let stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function decodeRunLengths(bytes, size) {
+  let out = new Uint8Array(size);
+  let i = 0;
+  let o = 0;
+  while (i < bytes.length && o < size) {
+    let count = (bytes[i++] << 24) >> 24;
+    if (count < 0) {
+      out.set(bytes.subarray(i, i - count), o);
+      i -= count;
+      o -= count;
+    } else {
+      out.fill(bytes[i++], o, o + count + 1);
+      o += count + 1;
+    }
+  }
+  return out;
+}
+
+// Compressed blocks store differences between bytes, and the bytes' first halves before their second halves
+function unpredict(bytes) {
+  for (let i = 1; i < bytes.length; i++) {
+    bytes[i] = bytes[i - 1] + bytes[i] - 128;
+  }
+  let out = new Uint8Array(bytes.length);
+  let half = (bytes.length + 1) >> 1;
+  for (let i = 0; i < bytes.length; i++) {
+    out[i] = bytes[(i & 1) ? half + (i >> 1) : i >> 1];
+  }
+  return out;
+}
+
+async function readExrBlock(bytes, compression, size) {
+  if (compression === compressions.none || bytes.length === size) {
+    return bytes;
+  }
+  if (compression === compressions.rle) {
+    return unpredict(decodeRunLengths(bytes, size));
+  }
+  return unpredict(await inflate(bytes));
+}
+
+/**
+ * Scanline OpenEXR without compression or with RLE, ZIPS or ZIP compression, and half, float or uint channels.
+ * Images with R, G and B channels are read as colour, ones with only Y as grey.
+ */
+export async function decodeExr(buffer) {
+  let bytes = new Uint8Array(buffer);
+  let view = new DataView(buffer);
+  let header = readExrHeader(view, bytes);
+  if (!(header.compression in blockLines)) {
+    throw new Error("Unsupported OpenEXR compression " + header.compression + ", resave it with ZIP compression");
+  }
+  let [xMin, yMin, xMax, yMax] = header.dataWindow;
+  let width = xMax - xMin + 1;
+  let height = yMax - yMin + 1;
+  // Channels are stored in alphabetical order, each a line at a time
+  let channels = header.channels.slice().sort((a, b) => { return a.name < b.name ? -1 : a.name > b.name ? 1 : 0 });
+  let names = channels.map((c) => { return c.name });
+  let targets = names.includes('R') ? { R: [0], G: [1], B: [2] } : { Y: [0, 1, 2] };
+  let pixelSizes = channels.map((c) => { return c.type === 1 ? 2 : 4 });
+  let lineSize = pixelSizes.reduce((sum, s) => { return sum + s * width }, 0);
+  let linesPerBlock = blockLines[header.compression];
+  let blocks = Math.ceil(height / linesPerBlock);
+
+  let data = new Float32Array(width * height * 3);
+  for (let b = 0; b < blocks; b++) {
+    let offset = Number(view.getBigUint64(header.end + b * 8, true));
+    let firstLine = view.getInt32(offset, true) - yMin;
+    let packedSize = view.getInt32(offset + 4, true);
+    let lines = Math.min(linesPerBlock, height - firstLine);
+    let block = await readExrBlock(bytes.subarray(offset + 8, offset + 8 + packedSize), header.compression, lines * lineSize);
+    let blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    let at = 0;
+    for (let line = 0; line < lines; line++) {
+      let row = (firstLine + line) * width;
+      channels.forEach((channel, c) => {
+        let outputs = targets[channel.name] || [];
+        for (let x = 0; x < width; x++) {
+          let value = 0;
+          if (channel.type === 1) {
+            value = halfToFloat(blockView.getUint16(at, true));
+          } else if (channel.type === 2) {
+            value = blockView.getFloat32(at, true);
+          } else {
+            value = blockView.getUint32(at, true);
+          }
+          at += pixelSizes[c];
+          outputs.forEach((o) => { data[(row + x) * 3 + o] = value });
+        }
+      });
+    }
+  }
+  return { width: width, height: height, data: data };
+}
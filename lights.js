@@ -0,0 +1,153 @@
+import {
+  Vec3,
+  Mat4
+} from './vector.js'
+import {
+  animate
+} from './animation.js'
+
+// Analytic lights from a scene's "lights": spheres for point and spot lights, cones of directions for suns, and
+// rectangles. Each is packed into 4 vec4s for tracer.fs, in the normalized space the compiled scene lives in:
+//   position, type
+//   spot axis, sun direction or the rectangle's first edge, radius
+//   radiance, the spot's outer cone or the sun's angular radius as cosines
+//   the rectangle's second edge, the spot's inner cone cosine
+
+export const maxLights = 16;
+export const lightTypes = { point: 0, spot: 0, directional: 1, sun: 1, rect: 2 };
+
+const sunDiameter = 0.53;
+const degrees = Math.PI / 180;
+
+function perpendicular(v) {
+  let up = Math.abs(v[1]) < 0.999 ? [0, 1, 0] : [1, 0, 0];
+  return Vec3.normalize(Vec3.cross(up, v));
+}
+
+/**
+ * The direction of the smallest environment bin for its solid angle, which holds the brightest part of the map.
+ * Bins are [x0, y0, x1, y1] in pixels of a width x height map, laid out the way sampleEnv reads them.
+ */
+export function getBrightestDirection(radianceBins, width, height, envTheta) {
+  let best = 0;
+  let bestSize = Infinity;
+  for (let i = 0; i < radianceBins.length; i += 4) {
+    let phi = (radianceBins[i + 1] + radianceBins[i + 3]) / 2 / height * Math.PI;
+    let size = (radianceBins[i + 2] - radianceBins[i]) * (radianceBins[i + 3] - radianceBins[i + 1]) * Math.sin(phi);
+    if (size < bestSize) {
+      best = i;
+      bestSize = size;
+    }
+  }
+  let theta = ((radianceBins[best] + radianceBins[best + 2]) / 2 / width - envTheta) * Math.PI * 2;
+  let phi = (radianceBins[best + 1] + radianceBins[best + 3]) / 2 / height * Math.PI;
+  return [Math.cos(theta) * Math.sin(phi), Math.cos(phi), Math.sin(theta) * Math.sin(phi)];
+}
+
+/**
+ * Packs the scene's lights at frame. Positions and sizes are in the scene's units and go through normalizeMatrix
+ * like props do, point intensities scale with its square so they light the scaled scene the same.
+ * environment is {radianceBins, width, height, envTheta, sunDirection}, for suns whose direction is "environment",
+ * which follow a procedural sky's sunDirection when there is one.
+ */
+export function packLights(lights, normalizeMatrix, environment, frame = 0) {
+  if (lights.length > maxLights) {
+    throw new Error("Scenes can have at most " + maxLights + " lights");
+  }
+  let scale = Vec3.magnitude(Mat4.transformDirection(normalizeMatrix, [1, 0, 0]));
+  let data = new Float32Array(lights.length * 16);
+  lights.forEach((sceneLight, i) => {
+    let light = animate(sceneLight, frame);
+    let type = lightTypes[light.type];
+    if (type === undefined) {
+      throw new Error("Unknown light type " + light.type);
+    }
+    let position = Mat4.transformPoint(normalizeMatrix, light.position || [0, 0, 0]);
+    let radiance = Vec3.scale(light.color || [1, 1, 1], typeof light.intensity === 'number' ? light.intensity : 1);
+    // Directional lights shine from their direction and the others towards it, so by default they all shine down
+    let direction = type === lightTypes.directional ? [0, 1, 0] : [0, -1, 0];
+    if (light.direction === 'environment' && environment.sunDirection) {
+      direction = environment.sunDirection;
+    } else if (light.direction === 'environment') {
+      direction = getBrightestDirection(environment.radianceBins, environment.width, environment.height, environment.envTheta);
+    } else if (light.direction) {
+      direction = Vec3.normalize(light.direction);
+    }
+    let axis = direction;
+    let edge = [0, 0, 0];
+    let radius = 0;
+    let outer = -1;
+    let inner = -1;
+    if (type === lightTypes.point) {
+      radius = (light.radius || 0) * scale;
+      // A sphere spreads the same intensity over its disc, so its size only softens shadows
+      radiance = Vec3.scale(radiance, radius > 0 ? scale * scale / (Math.PI * radius * radius) : scale * scale);
+      if (light.type === 'spot') {
+        let outerAngle = typeof light.outerAngle === 'number' ? light.outerAngle : 45;
+        outer = Math.cos(outerAngle * degrees);
+        inner = Math.cos(Math.min(typeof light.innerAngle === 'number' ? light.innerAngle : outerAngle, outerAngle) * degrees);
+      }
+    } else if (type === lightTypes.directional) {
+      let diameter = typeof light.angularDiameter === 'number' ? light.angularDiameter : light.type === 'sun' ? sunDiameter : 0;
+      outer = Math.cos(diameter / 2 * degrees);
+      // Intensity is the irradiance it gives a surface facing it, spread over the sun's disc
+      let sinAngle = Math.sin(diameter / 2 * degrees);
+      radiance = Vec3.scale(radiance, diameter > 0 ? 1 / (Math.PI * sinAngle * sinAngle) : 1);
+    } else {
+      let size = light.size || [1, 1];
+      let tangent = perpendicular(direction);
+      // Edges whose cross product is the direction the rectangle faces
+      axis = Vec3.scale(tangent, size[0] * scale);
+      edge = Vec3.scale(Vec3.cross(direction, tangent), size[1] * scale);
+    }
+    data.set([...position, type, ...axis, radius, ...radiance, outer, ...edge, inner], i * 16);
+  });
+  return data;
+}
+
+function intersectSphere(data, o, origin, dir) {
+  let radius = data[o + 7];
+  let toCenter = Vec3.sub(data.slice(o, o + 3), origin);
+  let b = Vec3.dot(toCenter, dir);
+  let c = Vec3.dot(toCenter, toCenter) - radius * radius;
+  let discriminant = b * b - c;
+  if (radius <= 0 || c < 0 || discriminant < 0) {
+    return Infinity;
+  }
+  let t = b - Math.sqrt(discriminant);
+  return t > 0 ? t : Infinity;
+}
+
+function intersectRect(data, o, origin, dir) {
+  let center = data.slice(o, o + 3);
+  let edges = [data.slice(o + 4, o + 7), data.slice(o + 12, o + 15)];
+  let normal = Vec3.cross(edges[0], edges[1]);
+  let facing = Vec3.dot(dir, normal);
+  if (facing >= 0) {
+    return Infinity;
+  }
+  let t = Vec3.dot(Vec3.sub(center, origin), normal) / facing;
+  let local = Vec3.sub(Vec3.add(origin, Vec3.scale(dir, t)), center);
+  let inside = edges.every((e) => { return Math.abs(Vec3.dot(local, e) / Vec3.dot(e, e)) <= 0.5 });
+  return t > 0 && inside ? t : Infinity;
+}
+
+/**
+ * The closest packed light a ray hits, as {index, t}, or null. Point lights without a radius and suns can't be hit.
+ */
+export function intersectLights(data, origin, dir) {
+  let closest = null;
+  for (let i = 0; i * 16 < data.length; i++) {
+    let type = data[i * 16 + 3];
+    let t = Infinity;
+    if (type === lightTypes.point) {
+      t = intersectSphere(data, i * 16, origin, dir);
+    } else if (type === lightTypes.rect) {
+      t = intersectRect(data, i * 16, origin, dir);
+    }
+    if (t < Infinity && (!closest || t < closest.t)) {
+      closest = { index: i, t: t };
+    }
+  }
+  return closest;
+}
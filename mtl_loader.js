@@ -4,9 +4,12 @@ export function ParseMaterials(mtlText, basePath) {
   let materials = {};
   let lines = mtlText.split('\n');
   let urls = new Set();
-  let scalarTokens = new Set(["ns", "ni", "d", "illum", "dielectric", "ior"]);
-  let vectorTokens = new Set(["ka", "kd", "kem", "ks", "ke", "pr", "pm", "pmr", "pmr_swizzle"]);
-  let stringTokens = new Set(["map_bump", "map_kd", "map_kem", "map_ks", "map_d", "map_ns", "map_pmr"]);
+  let scalarTokens = new Set([
+    "ns", "ni", "d", "illum", "dielectric", "ior", "pc", "pcr", "ps", "aniso", "anisor", "specular_tint", "sheen_tint",
+    "subsurface", "transmission", "absorption_distance", "alpha_cutoff"
+  ]);
+  let vectorTokens = new Set(["ka", "kd", "kem", "ks", "ke", "tf", "pr", "pm", "pmr", "pmr_swizzle"]);
+  let stringTokens = new Set(["map_bump", "map_kd", "map_ke", "map_kem", "map_ks", "map_d", "map_ns", "map_pmr"]);
   let mtlName = null;
   lines.forEach((line) => {
     let tokens = line.trim().split(/[ ]+/);
@@ -1,8 +1,94 @@
 import { Triangle } from './bvh.js'
-import { Vec3 } from './vector.js'
+import { Vec3, Mat4 } from './vector.js'
 import { ParseMaterials } from './mtl_loader.js'
 import * as Utility from './utility.js'
 
+export function applyPropTransforms(vert, transforms, worldTransforms, rotationOnly = false) {
+  let rotated = vert;
+  (transforms.rotate || []).forEach((r) => { rotated = Vec3.rotateArbitrary(rotated, r.axis, r.angle) });
+  let scale = transforms.scale === undefined ? 1 : transforms.scale;
+  let modelTransformed = Vec3.add(Vec3.scale(rotated, rotationOnly ? 1 : scale), rotationOnly ? [0, 0, 0] : (transforms.translate || [0, 0, 0]));
+  if (worldTransforms) {
+    worldTransforms.forEach(function (transform) {
+      if (transform.rotate) {
+        transform.rotate.forEach(function (rotation) {
+          modelTransformed = Vec3.rotateArbitrary(modelTransformed, rotation.axis, rotation.angle);
+        });
+      } else if (transform.translate && !rotationOnly) {
+        modelTransformed = Vec3.add(modelTransformed, transform.translate);
+      }
+    });
+  }
+  return modelTransformed;
+}
+
+// The matrix applyPropTransforms amounts to, recovered from where it sends the origin and the basis vectors
+export function getPropMatrix(transforms, worldTransforms) {
+  let matrix = Mat4.identity();
+  let origin = applyPropTransforms([0, 0, 0], transforms, worldTransforms);
+  [[1, 0, 0], [0, 1, 0], [0, 0, 1]].forEach((axis, i) => {
+    let column = Vec3.sub(applyPropTransforms(axis, transforms, worldTransforms), origin);
+    matrix.splice(i * 4, 3, ...column);
+  });
+  matrix.splice(12, 3, ...origin);
+  return matrix;
+}
+
+export function getNormal(tri) {
+  let e1 = Vec3.sub(tri.verts[1], tri.verts[0]);
+  let e2 = Vec3.sub(tri.verts[2], tri.verts[0]);
+  return Vec3.normalize(Vec3.cross(e1, e2));
+}
+
+export function averageNormals(normArray) {
+  let total = [0, 0, 0];
+  for (let i = 0; i < normArray.length; i++) {
+    total = Vec3.add(total, normArray[i]);
+  }
+  return Vec3.scale(total, 1.0 / normArray.length);
+}
+
+export function calcTangents(triangle) {
+  if (!triangle.uvs[0]) {
+    triangle.verts.forEach((vert, i) => {
+      let dir = Vec3.normalize(vert);
+      let u = Math.atan2(dir[2], dir[0]) / (Math.PI * 2);
+      let v = Math.asin(-dir[1]) / Math.PI + 0.5;
+      triangle.uvs[i] = [u, v];
+    });
+  }
+
+  for (let i = 0; i < triangle.uvs.length; i++) {
+    triangle.uvs[i] = Array.from(triangle.uvs[i]);
+    triangle.uvs[i][0] += Number.EPSILON * (i + 1);
+    triangle.uvs[i][1] += Number.EPSILON * (i + 1);
+  }
+
+  let deltaPos0 = Vec3.sub(triangle.verts[1], triangle.verts[0]);
+  let deltaPos1 = Vec3.sub(triangle.verts[2], triangle.verts[0]);
+
+  let deltaUv0 = Vec3.sub(triangle.uvs[1], triangle.uvs[0]);
+  let deltaUv1 = Vec3.sub(triangle.uvs[2], triangle.uvs[0]);
+
+  let r = 1.0 / ((deltaUv0[0] * deltaUv1[1]) - (deltaUv0[1] * deltaUv1[0]));
+  let preTangent = Vec3.normalize(Vec3.scale(Vec3.sub(Vec3.scale(deltaPos0, deltaUv1[1]), Vec3.scale(deltaPos1, deltaUv0[1])), r));
+  //let bt = Vec3.normalize(Vec3.scale(Vec3.sub(Vec3.scale(deltaPos1, deltaUv0[0]), Vec3.scale(deltaPos0, deltaUv1[0])), r));
+  for (let i = 0; i < 3; i++) {
+    let normal = triangle.normals[i];
+    let preBitangent = Vec3.normalize(Vec3.cross(normal, preTangent));
+    let tangent = Vec3.normalize(Vec3.cross(preBitangent, normal));
+    let bitangent = Vec3.normalize(Vec3.cross(normal, tangent));
+
+    if (isNaN(Vec3.dot(tangent, bitangent))) {
+      let t = Vec3.cross(triangle.normals[i], [0, 1, 0]);
+      triangle.tangents[i] = t;
+      triangle.bitangents[i] = Vec3.cross(t, triangle.normals[i]);
+    }
+    triangle.tangents.push(tangent);
+    triangle.bitangents.push(bitangent);
+  }
+}
+
 export async function parseMesh(objText, transforms, worldTransforms, basePath) {
   let lines = objText.split('\n');
   let vertices = [];
@@ -16,39 +102,8 @@ export async function parseMesh(objText, transforms, worldTransforms, basePath)
   let urls = null;
   let bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
 
-  function applyRotations(vert) {
-    transforms.rotate.forEach((r) => { vert = Vec3.rotateArbitrary(vert, r.axis, r.angle) });
-    return vert;
-  }
-
   function applyVectorTransforms(vert, rotationOnly = false) {
-    let modelTransformed = Vec3.add(Vec3.scale(applyRotations(vert), rotationOnly ? 1 : transforms.scale), rotationOnly ? [0, 0, 0] : transforms.translate);
-    if (worldTransforms) {
-      worldTransforms.forEach(function (transform) {
-        if (transform.rotate) {
-          transform.rotate.forEach(function (rotation) {
-            modelTransformed = Vec3.rotateArbitrary(modelTransformed, rotation.axis, rotation.angle);
-          });
-        } else if (transform.translate && !rotationOnly) {
-          modelTransformed = Vec3.add(modelTransformed, transform.translate);
-        }
-      });
-    }
-    return modelTransformed;
-  }
-
-  function getNormal(tri) {
-    let e1 = Vec3.sub(tri.verts[1], tri.verts[0]);
-    let e2 = Vec3.sub(tri.verts[2], tri.verts[0]);
-    return Vec3.normalize(Vec3.cross(e1, e2));
-  }
-
-  function averageNormals(normArray) {
-    let total = [0, 0, 0];
-    for (let i = 0; i < normArray.length; i++) {
-      total = Vec3.add(total, normArray[i]);
-    }
-    return Vec3.scale(total, 1.0 / normArray.length);
+    return applyPropTransforms(vert, transforms, worldTransforms, rotationOnly);
   }
 
   function parseFace(quad_indices) {
@@ -59,47 +114,6 @@ export async function parseMesh(objText, transforms, worldTransforms, basePath)
     triList.forEach(parseTriangle);
   }
 
-  function calcTangents(triangle) {
-    if (!triangle.uvs[0]) {
-      triangle.verts.forEach((vert, i) => {
-        let dir = Vec3.normalize(vert);
-        let u = Math.atan2(dir[2], dir[0]) / (Math.PI * 2);
-        let v = Math.asin(-dir[1]) / Math.PI + 0.5;
-        triangle.uvs[i] = [u, v];
-      });
-    }
-
-    for (let i = 0; i < triangle.uvs.length; i++) {
-      triangle.uvs[i] = Array.from(triangle.uvs[i]);
-      triangle.uvs[i][0] += Number.EPSILON * (i + 1);
-      triangle.uvs[i][1] += Number.EPSILON * (i + 1);
-    }
-
-    let deltaPos0 = Vec3.sub(triangle.verts[1], triangle.verts[0]);
-    let deltaPos1 = Vec3.sub(triangle.verts[2], triangle.verts[0]);
-
-    let deltaUv0 = Vec3.sub(triangle.uvs[1], triangle.uvs[0]);
-    let deltaUv1 = Vec3.sub(triangle.uvs[2], triangle.uvs[0]);
-
-    let r = 1.0 / ((deltaUv0[0] * deltaUv1[1]) - (deltaUv0[1] * deltaUv1[0]));
-    let preTangent = Vec3.normalize(Vec3.scale(Vec3.sub(Vec3.scale(deltaPos0, deltaUv1[1]), Vec3.scale(deltaPos1, deltaUv0[1])), r));
-    //let bt = Vec3.normalize(Vec3.scale(Vec3.sub(Vec3.scale(deltaPos1, deltaUv0[0]), Vec3.scale(deltaPos0, deltaUv1[0])), r));
-    for (let i = 0; i < 3; i++) {
-      let normal = triangle.normals[i];
-      let preBitangent = Vec3.normalize(Vec3.cross(normal, preTangent));
-      let tangent = Vec3.normalize(Vec3.cross(preBitangent, normal));
-      let bitangent = Vec3.normalize(Vec3.cross(normal, tangent));
-
-      if (isNaN(Vec3.dot(tangent, bitangent))) {
-        let t = Vec3.cross(triangle.normals[i], [0, 1, 0]);
-        triangle.tangents[i] = t;
-        triangle.bitangents[i] = Vec3.cross(t, triangle.normals[i]);
-      }
-      triangle.tangents.push(tangent);
-      triangle.bitangents.push(bitangent);
-    }
-  }
-
   function parseTriangle(indices) {
     for (let i = 0; i < indices.length; i++) {
       for (let j = 0; j < indices[i].length; j++) {
@@ -0,0 +1,1470 @@
+import * as Utility from './utility.js'
+import * as SceneCompiler from './scene_compiler.js'
+import * as Animation from './animation.js'
+import {
+  TexturePacker
+} from './texture_packer.js'
+import {
+  readBundle
+} from './bundle.js'
+import {
+  Vec3,
+  Mat4
+} from './vector.js'
+import {
+  encodeExr,
+  encodeHdr
+} from './hdr_export.js'
+import {
+  packLights,
+  intersectLights
+} from './lights.js'
+import {
+  saveCheckpoint,
+  loadCheckpoint,
+  deleteCheckpoint
+} from './checkpoint.js'
+import {
+  loadEnvironment,
+  getBinPdfs
+} from './env_sampler.js'
+import {
+  decodeVol
+} from './volume_loader.js'
+import {
+  isSky,
+  getSunDirection
+} from './sky.js'
+import * as Camera from './camera.js'
+
+const maxT = 1e6;
+// The photographic camera settings of camera.js, which scenes can keyframe and setCamera takes
+const lensSettings = [
+  "focalLength", "sensorSize", "fNumber", "shutter", "iso", "apertureBlades", "apertureRotation", "anamorphic", "catsEye"
+];
+const leafSize = SceneCompiler.leafSize;
+const shaderNames = [
+  "tracer.vs", "tracer.fs", "bvh_test.fs", "draw.vs", "draw.fs", "camera.vs", "camera.fs", "atrous.fs", "convergence.fs",
+  "sampler.glsl", "adaptive.glsl", "bsdf.glsl", "medium.glsl"
+];
+const samplers = ['sobol', 'random'];
+// The AOVs the tracer can write, and how draw.fs displays each of them
+const aovDisplays = {
+  albedo: 1,
+  normal: 2,
+  depth: 3,
+  position: 4,
+  id: 5,
+  direct: 0,
+  indirect: 0,
+  emission: 0
+};
+const waveletGuides = ['albedo', 'normal', 'depth'];
+// Path depths a scene can set, defined for tracer.fs as MAX_BOUNCES and so on
+const bounceLimits = {
+  maxBounces: 12,
+  minBounces: 3,
+  maxDiffuseBounces: 4,
+  maxSpecularBounces: 8,
+  maxTransmissionBounces: 12,
+  maxVolumeBounces: 4
+};
+// draw.fs's heat-map of the remaining error, which is scaled by this when there's no error target
+const errorDisplay = 6;
+const defaultErrorTarget = 0.05;
+
+async function loadAssets(urls) {
+  return urls.length > 0 ? Utility.loadAll(urls) : {};
+}
+
+// Adds directives after the #version line, and replaces #include "name" lines with the named shader
+function prepareShader(source, directives, shaders) {
+  let lines = source.replace(/^#include "(.+)"$/gm, (line, name) => { return shaders[name] }).split('\n');
+  lines.splice(1, 0, ...directives);
+  return lines.join('\n');
+}
+
+/**
+ * Progressive path tracer rendering into a canvas.
+ *
+ *   let tracer = new PathTracer(canvas, { mode: 'nee' });
+ *   tracer.onComplete(() => { tracer.getImage().then(...) });
+ *   await tracer.loadScene('scene/bunny.json');
+ *
+ * options:
+ *   resolution - [width, height] of the canvas and render targets, defaults to the canvas size
+ *   mode - underscore separated rendering options, like the url parameter: nee or test
+ *   samples - samples per pixel to stop at, a scene's own samples take over when it is loaded
+ *   tiles - [columns, rows] to split each sample into, traced over successive animation frames. Defaults to [1, 1].
+ *   timeBudget - milliseconds of tracing per animation frame, drawing as many tiles as fit. With the default of 0,
+ *     one tile is drawn per animation frame.
+ *   shaderPath - where the shader sources are, defaults to the shader directory next to this module
+ *   aovs - names of extra outputs to render alongside the image: albedo, normal, depth, position, id, direct,
+ *     indirect and emission
+ *   sampler - sobol for Owen scrambled Sobol points, the default, or random for the original hash, to compare them
+ *   guides - false to skip rendering the albedo, normal and depth AOVs the wavelet filter needs, when they weren't
+ *     asked for anyway
+ *   errorTarget - relative error of each pixel's mean luminance at which it stops being sampled, and the render
+ *     completes once every pixel has. Defaults to 0, every pixel gets every sample.
+ *   minSamples - samples every pixel gets before its error is trusted, 32 by default
+ *   checkpointInterval - seconds between saving the render to IndexedDB, which a reload or a lost context resumes
+ *     from. Defaults to 0, no checkpoints.
+ *
+ * A lost WebGL context is rebuilt when the browser restores it, from the scene buffers kept on the CPU.
+ */
+export class PathTracer {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.resolution = (options.resolution || [canvas.width, canvas.height]).map(Math.floor);
+    this.mode = options.mode || '';
+    this.shaderPath = options.shaderPath || new URL('./shader/', import.meta.url).href;
+    this.sampleTarget = options.samples || 2000;
+    this.aovs = options.aovs || [];
+    this.guides = options.guides !== false;
+    this.sampler = options.sampler || 'sobol';
+    this.sampleSeed = 0;
+    this.tiles = options.tiles || [1, 1];
+    this.timeBudget = options.timeBudget || 0;
+    this.tile = 0;
+    this.display = 'beauty';
+    this.errorTarget = options.errorTarget || 0;
+    this.minSamples = options.minSamples || 32;
+    this.converged = false;
+    this.convergenceQuery = null;
+    this.checkpointInterval = options.checkpointInterval || 0;
+    this.checkpointTime = 0;
+    this.savingCheckpoint = false;
+    this.programs = {};
+    this.textures = {};
+    this.framebuffers = { screen: [], filter: [], camera: null };
+    this.listeners = { progress: [], complete: [] };
+    this.scene = null;
+    this.sceneKey = null;
+    this.assets = {};
+    this.compiled = null;
+    this.lightData = new Float32Array(0);
+    this.environment = null;
+    this.frame = 0;
+    this.pingpong = 0;
+    this.dirty = true;
+    this.completed = false;
+    this.moving = false;
+    this.active = true;
+    this.resScale = 1;
+    this.animationFrame = null;
+
+    this.fovScale = 0.5;
+    this.envTheta = 0;
+    this.exposure = 1;
+    this.saturation = 1;
+    this.denoise = false;
+    this.maxSigma = 2;
+    this.wavelet = {
+      enabled: false,
+      iterations: 4,
+      colorSigma: 0.5,
+      normalSigma: 0.3,
+      depthSigma: 0.1,
+      albedoSigma: 0.1
+    };
+    this.eye = [0, 0, 2];
+    this.dir = [0, 0, -1];
+    this.focalDepth = 2;
+    this.apertureSize = 0.02;
+    this.lens = {};
+
+    this.aovs.forEach((name) => {
+      if (!(name in aovDisplays)) {
+        throw new Error("Unknown AOV " + name);
+      }
+    });
+    if (!samplers.includes(this.sampler)) {
+      throw new Error("Unknown sampler " + this.sampler);
+    }
+    this._initGL();
+    this._initBuffers();
+    this.contextListeners = {
+      webglcontextlost: (e) => {
+        e.preventDefault();
+        console.log("Lost the WebGL context");
+        this._stop();
+      },
+      webglcontextrestored: () => {
+        console.log("Rebuilding the lost WebGL context");
+        this._restoreContext();
+      }
+    };
+    Object.entries(this.contextListeners).forEach(([name, listener]) => {
+      canvas.addEventListener(name, listener, false);
+    });
+  }
+
+  // scene is a scene json object, or the url of one. A compiled bundle next to the url is used when it is up to date.
+  async loadScene(scene) {
+    let sceneText;
+    let bundle = null;
+    if (typeof scene === 'string') {
+      let url = scene;
+      sceneText = await Utility.getText(url);
+      scene = JSON.parse(sceneText);
+      bundle = await this._loadBundle(url, sceneText);
+    }
+    let urls = new Set();
+    if (bundle) {
+      // Only the environment, the medium's grid and any textures the compiler couldn't pack are still needed
+      if (typeof scene.environment === 'string') {
+        urls.add(scene.environment);
+      }
+      if (scene.medium && scene.medium.density) {
+        urls.add(scene.medium.density);
+      }
+      if (!bundle.atlas.pixels) {
+        bundle.atlas.textures.forEach((texture) => {
+          if (texture.url) {
+            urls.add(texture.url);
+          }
+        });
+      }
+    } else {
+      urls = SceneCompiler.getSceneUrls(scene);
+    }
+    let [shaders, assets] = await Promise.all([this._loadShaders(), loadAssets(Array.from(urls))]);
+    let compiled = bundle || await SceneCompiler.compileScene(scene, assets, sceneText);
+    let environment = await loadEnvironment(scene.environment, assets);
+    let densityGrid = scene.medium && scene.medium.density ? decodeVol(assets[scene.medium.density]) : null;
+
+    this._stop();
+    this._deleteSceneTextures();
+    this.scene = scene;
+    this.sceneKey = Utility.hashString(sceneText || JSON.stringify(scene));
+    this.assets = assets;
+    this.compiled = compiled;
+    this.environment = environment;
+    this.densityGrid = densityGrid;
+    this.sampleTarget = scene.samples || this.sampleTarget;
+    this._initEnvironment();
+    this._initSceneTextures(assets);
+    this._initPrograms(shaders);
+    this.setFrame(this.frame);
+    console.log("Beginning render");
+    this._start();
+    await this._resumeCheckpoint();
+  }
+
+  // Moves animated props, the camera and the lens to frame, and starts over
+  setFrame(frame) {
+    this.frame = frame;
+    if (!this.compiled) {
+      return;
+    }
+    let view = Animation.animate(this.scene, frame);
+    if (SceneCompiler.animateScene(this.compiled, this.scene, frame)) {
+      ["bvh", "materials", "lights", "instances"].forEach((name) => {
+        this._uploadDataTexture(this.textures[name], this.compiled.buffers[name]);
+      });
+    }
+    this._setView(view);
+    this._updateLights();
+    if (!view.focalDepth) {
+      this.autoFocus();
+    }
+    this.restart();
+  }
+
+  /**
+   * camera may hold any of position, direction, fovScale, focalDepth and apertureSize, and the photographic settings
+   * focalLength, sensorSize, fNumber, shutter, iso, apertureBlades, apertureRotation, anamorphic and catsEye, which
+   * are unset again by null
+   */
+  setCamera(camera) {
+    this.eye = camera.position ? Array.from(camera.position) : this.eye;
+    this.dir = camera.direction ? Vec3.normalize(camera.direction) : this.dir;
+    this.fovScale = camera.fovScale || this.fovScale;
+    this.focalDepth = camera.focalDepth || this.focalDepth;
+    this.apertureSize = camera.apertureSize === undefined ? this.apertureSize : camera.apertureSize;
+    lensSettings.forEach((name) => {
+      if (camera[name] !== undefined) {
+        this.lens[name] = camera[name] === null ? undefined : camera[name];
+      }
+    });
+    this.restart();
+  }
+
+  getCamera() {
+    return Object.assign({
+      position: this.eye,
+      direction: this.dir,
+      fovScale: this.fovScale,
+      focalDepth: this.focalDepth,
+      apertureSize: this.apertureSize
+    }, this.lens);
+  }
+
+  setEnvironmentTheta(theta) {
+    this.envTheta = theta;
+    this._updateLights();
+    this.restart();
+  }
+
+  // Exposure, saturation and denoising only change how samples are displayed, so they don't start over
+  setExposure(exposure) {
+    this.exposure = exposure;
+  }
+
+  setSaturation(saturation) {
+    this.saturation = saturation;
+  }
+
+  setDenoise(enabled, maxSigma = this.maxSigma) {
+    this.denoise = enabled;
+    this.maxSigma = maxSigma;
+  }
+
+  /**
+   * The edge-avoiding wavelet filter, for usable previews after a few dozen samples. settings may hold any of:
+   *   enabled
+   *   iterations - passes, each twice as wide as the last
+   *   colorSigma, normalSigma, depthSigma, albedoSigma - how different a neighbor may be and still be blended in
+   * It needs the guide AOVs, so it does nothing when the tracer was made without them.
+   */
+  setWaveletFilter(settings) {
+    Object.assign(this.wavelet, settings);
+  }
+
+  // Splits each sample into columns * rows tiles, so no single draw runs long enough to trip the GPU watchdog
+  setTiles(columns, rows) {
+    this.tiles = [columns, rows];
+    this.restart();
+  }
+
+  setTimeBudget(milliseconds) {
+    this.timeBudget = milliseconds;
+  }
+
+  setSampleTarget(samples) {
+    this.sampleTarget = samples;
+    this.completed = this.completed && this.pingpong >= samples;
+  }
+
+  // While moving, frames are traced at a quarter of the resolution and not accumulated
+  setMoving(moving) {
+    this.moving = moving;
+    this.restart();
+  }
+
+  // A paused tracer keeps displaying what it has without taking more samples
+  pause() {
+    this.active = false;
+  }
+
+  resume() {
+    this.active = true;
+  }
+
+  restart() {
+    this.dirty = true;
+    this.completed = false;
+  }
+
+  // listener gets {samples, target} after every sample
+  onProgress(listener) {
+    this.listeners.progress.push(listener);
+  }
+
+  // listener gets {samples, frame} once the sample target is reached
+  onComplete(listener) {
+    this.listeners.complete.push(listener);
+  }
+
+  /**
+   * Shows output in the canvas: beauty, an AOV being rendered, or error for a heat-map of how far each pixel is
+   * from the error target
+   */
+  setDisplay(output) {
+    if (output !== 'error') {
+      this._getLayer(output);
+    }
+    this.display = output;
+  }
+
+  /**
+   * Stops sampling pixels once their relative error drops below target, 0 samples every pixel to the end.
+   * Pixels that already stopped would have missed samples under a lower target, so lowering it restarts the render.
+   */
+  setErrorTarget(target, minSamples = this.minSamples) {
+    let lowered = this.errorTarget > 0 && !(target > 0 && target >= this.errorTarget);
+    this.errorTarget = target;
+    this.minSamples = minSamples;
+    if (lowered) {
+      this.restart();
+    }
+  }
+
+  /**
+   * The accumulated linear radiance, before exposure and tone mapping, as RGBA floats with the top row first.
+   * output names an AOV to read instead. Their alpha is the coverage of the camera rays' first hits, which the
+   * other channels are premultiplied by.
+   */
+  getRadiance(output = 'beauty') {
+    let [width, height] = this.resolution;
+    let layer = this._getLayer(output);
+    let pixels = this._readAccumulation(layer);
+    let data = new Float32Array(pixels.length);
+    for (let y = 0; y < height; y++) {
+      data.set(pixels.subarray((height - 1 - y) * width * 4, (height - y) * width * 4), y * width * 4);
+    }
+    // The image's alpha holds the squared luminance adaptive sampling needs, which means nothing elsewhere
+    if (layer < 0) {
+      for (let i = 3; i < data.length; i += 4) {
+        data[i] = 1;
+      }
+    }
+    return { width: width, height: height, data: data };
+  }
+
+  /**
+   * Resolves to a Blob of the image. 'image/x-exr' and 'image/vnd.radiance' hold the linear radiance from getRadiance,
+   * with the sample count in their metadata unless options.metadata is false, and options.half writes EXR halves.
+   * Other types are the displayed image, as the canvas encodes it. options.aov exports that AOV instead.
+   */
+  getImage(type = 'image/png', options = {}) {
+    let output = options.aov || 'beauty';
+    if (type === 'image/x-exr' || type === 'image/vnd.radiance') {
+      let image = this.getRadiance(output);
+      let encodeOptions = { half: !!options.half, samples: options.metadata === false ? undefined : this.pingpong };
+      let bytes = type === 'image/x-exr' ? encodeExr(image, encodeOptions) : encodeHdr(image, encodeOptions);
+      return Promise.resolve(new Blob([bytes], { type: type }));
+    }
+    this._drawQuad(this.pingpong, output);
+    return new Promise((resolve) => {
+      this.canvas.toBlob(resolve, type);
+    });
+  }
+
+  /**
+   * The accumulated samples of the image and every AOV, with what they were rendered from. encodeCheckpoint in
+   * checkpoint.js writes one to a file.
+   */
+  getCheckpoint() {
+    return {
+      state: this._getCheckpointState(),
+      samples: this.pingpong,
+      sampleSeed: this.sampleSeed,
+      image: this._readAccumulation(-1),
+      layers: this.aovs.map((name, layer) => { return this._readAccumulation(layer) })
+    };
+  }
+
+  /**
+   * Continues accumulating from a checkpoint, when it was rendered from the same scene, frame, camera and settings.
+   * Returns whether it was.
+   */
+  restoreCheckpoint(checkpoint) {
+    let gl = this.gl;
+    let [width, height] = this.resolution;
+    if (!checkpoint || JSON.stringify(checkpoint.state) !== JSON.stringify(this._getCheckpointState())) {
+      return false;
+    }
+    this._clear();
+    this.pingpong = checkpoint.samples;
+    this.sampleSeed = checkpoint.sampleSeed;
+    this.completed = false;
+    // Both buffers, so the display has it before the next sample is traced
+    this.textures.screen.forEach((tex) => {
+      gl.bindTexture(gl.TEXTURE_2D, tex);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, checkpoint.image);
+    });
+    this.textures.aovs.forEach((tex) => {
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, tex);
+      checkpoint.layers.forEach((pixels, layer) => {
+        gl.texSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, layer, width, height, 1, gl.RGBA, gl.FLOAT, pixels);
+      });
+    });
+    console.log("Resumed from a checkpoint with", checkpoint.samples, "samples");
+    return true;
+  }
+
+  // Forgets the scene's saved checkpoint
+  clearCheckpoint() {
+    return this.sceneKey ? deleteCheckpoint(this.sceneKey) : Promise.resolve();
+  }
+
+  // Focuses on whatever is under the center of the screen and returns its distance
+  autoFocus() {
+    this.focalDepth = this._castRay(this.eye, this.dir).t;
+    this.restart();
+    return this.focalDepth;
+  }
+
+  /**
+   * What's under a point of the canvas, given from its top left corner as fractions of its width and height:
+   * {type: 'light', index, t} for one of the scene's lights, {type: 'prop', index, t} for a prop instance, or null
+   */
+  pick(x, y) {
+    let basisX = Vec3.normalize(Vec3.cross(this.dir, [0, 1, 0]));
+    let basisY = Vec3.normalize(Vec3.cross(basisX, this.dir));
+    let aspect = this.resolution[0] / this.resolution[1];
+    let fovScale = Camera.getFovScale(this.getCamera(), aspect);
+    let dir = Vec3.normalize(Vec3.add(this.dir, Vec3.add(
+      Vec3.scale(basisX, (x * 2 - 1) * aspect * fovScale[0]),
+      Vec3.scale(basisY, (1 - y * 2) * fovScale[1])
+    )));
+    let hit = this._castRay(this.eye, dir);
+    let light = intersectLights(this.lightData, this.eye, dir);
+    if (light && light.t < hit.t) {
+      return { type: 'light', index: light.index, t: light.t };
+    }
+    return hit.instance >= 0 ? { type: 'prop', index: hit.instance, t: hit.t } : null;
+  }
+
+  // Changes some of a scene light's settings, the number of lights is fixed when the scene loads
+  setLight(index, settings) {
+    Object.assign(this.scene.lights[index], settings);
+    this._updateLights();
+    this.restart();
+  }
+
+  // The closest prop a ray hits, as {t, instance}, traced through the same BVH as the shader
+  _castRay(origin, rayDir) {
+    let sceneBuffers = this.compiled.buffers;
+    let bvhData = sceneBuffers.bvh.data;
+    let bvhInts = new Int32Array(bvhData.buffer, bvhData.byteOffset, bvhData.length);
+    let triData = sceneBuffers.triangles.data;
+    let instData = sceneBuffers.instances.data;
+
+    function getVert(index, vert) {
+      let offset = index * 9 + vert * 3;
+      return [triData[offset], triData[offset + 1], triData[offset + 2]];
+    }
+
+    function rayTriangleIntersect(index, origin, dir) {
+      let epsilon = 0.000000000001;
+      let v0 = getVert(index, 0);
+      let e1 = Vec3.sub(getVert(index, 1), v0);
+      let e2 = Vec3.sub(getVert(index, 2), v0);
+      let p = Vec3.cross(dir, e2);
+      let det = Vec3.dot(e1, p);
+      if (det > -epsilon && det < epsilon) {
+        return maxT
+      }
+      let invDet = 1.0 / det;
+      let t = Vec3.sub(origin, v0);
+      let u = Vec3.dot(t, p) * invDet;
+      if (u < 0 || u > 1) {
+        return maxT
+      }
+      let q = Vec3.cross(t, e1);
+      let v = Vec3.dot(dir, q) * invDet;
+      if (v < 0 || u + v > 1) {
+        return maxT
+      }
+      t = Vec3.dot(e2, q) * invDet;
+      if (t > epsilon) {
+        return t;
+      }
+      return maxT;
+    }
+
+    // Like the shader, test LEAF_SIZE triangles from the start of the leaf
+    function processLeaf(node, origin, dir) {
+      let res = maxT;
+      let first = bvhInts[node * 9 + 2];
+      for (let i = first; i < first + leafSize && i * 9 < triData.length; i++) {
+        let tmp = rayTriangleIntersect(i, origin, dir)
+        if (tmp < res) {
+          res = tmp;
+        }
+      }
+      return res;
+    }
+
+    let hit = { t: maxT, instance: -1 };
+
+    // The object space ray keeps its length so distances stay in world units
+    function processInstance(node, origin, dir) {
+      let instance = bvhInts[node * 9 + 2];
+      let o = instance * 27;
+      let inverse = [];
+      for (let col = 0; col < 4; col++) {
+        inverse.push(instData[o + 12 + col * 3], instData[o + 13 + col * 3], instData[o + 14 + col * 3], col === 3 ? 1 : 0);
+      }
+      let objectOrigin = Mat4.transformPoint(inverse, origin);
+      let objectDir = Mat4.transformDirection(inverse, dir);
+      let t = findTriangles(Math.round(instData[o + 24]), maxT, objectOrigin, objectDir, processLeaf);
+      if (t < hit.t) {
+        hit = { t: t, instance: instance };
+      }
+      return t;
+    }
+
+    function rayBoxIntersect(node, origin, dir) {
+      let o = node * 9;
+      let invDir = Vec3.inverse(dir),
+        tx1 = (bvhData[o + 3] - origin[0]) * invDir[0],
+        tx2 = (bvhData[o + 6] - origin[0]) * invDir[0],
+        ty1 = (bvhData[o + 4] - origin[1]) * invDir[1],
+        ty2 = (bvhData[o + 7] - origin[1]) * invDir[1],
+        tz1 = (bvhData[o + 5] - origin[2]) * invDir[2],
+        tz2 = (bvhData[o + 8] - origin[2]) * invDir[2];
+
+      let tmin = Math.min(tx1, tx2);
+      let tmax = Math.max(tx1, tx2);
+      tmin = Math.max(tmin, Math.min(ty1, ty2));
+      tmax = Math.min(tmax, Math.max(ty1, ty2));
+      tmin = Math.max(tmin, Math.min(tz1, tz2));
+      tmax = Math.min(tmax, Math.max(tz1, tz2));
+
+      return tmax >= tmin && tmax >= 0 ? tmin : maxT;
+    }
+
+    function closestNode(nLeft, nRight, origin, dir) {
+      let tLeft = rayBoxIntersect(nLeft, origin, dir);
+      let tRight = rayBoxIntersect(nRight, origin, dir);
+      let left = tLeft < maxT ? nLeft : null;
+      let right = tRight < maxT ? nRight : null;
+      if (tLeft < tRight) {
+        return [{
+          node: left,
+          t: tLeft
+        }, {
+          node: right,
+          t: tRight
+        }]
+      }
+      return [{
+        node: right,
+        t: tRight
+      }, {
+        node: left,
+        t: tLeft
+      }]
+    }
+
+    // Top level leaves are instances, bottom level leaves are triangles
+    function findTriangles(root, closest, origin, dir, leafFn) {
+      if (bvhInts[root * 9 + 2] > -1) {
+        return leafFn(root, origin, dir);
+      }
+      let ord = closestNode(bvhInts[root * 9], bvhInts[root * 9 + 1], origin, dir);
+      for (let i = 0; i < ord.length; i++) {
+        if (ord[i].node !== null && ord[i].t < closest) {
+          let res = findTriangles(ord[i].node, closest, origin, dir, leafFn);
+          closest = Math.min(res, closest);
+        }
+      }
+      return closest;
+    }
+
+    findTriangles(0, maxT, origin, rayDir, processInstance);
+    return hit;
+  }
+
+  // Stops rendering and frees every GL resource. The canvas can be handed to a new PathTracer afterwards.
+  dispose() {
+    let gl = this.gl;
+    this._stop();
+    Object.entries(this.contextListeners).forEach(([name, listener]) => {
+      this.canvas.removeEventListener(name, listener, false);
+    });
+    this._deleteSceneTextures();
+    Object.values(this.programs).forEach((program) => {
+      gl.deleteProgram(program);
+    });
+    this.textures.screen.concat(this.textures.aovs, this.textures.filter).forEach((tex) => {
+      gl.deleteTexture(tex);
+    });
+    gl.deleteTexture(this.textures.camera.pos);
+    gl.deleteTexture(this.textures.camera.dir);
+    this.framebuffers.screen.concat(this.framebuffers.filter).forEach((fbo) => {
+      gl.deleteFramebuffer(fbo);
+    });
+    gl.deleteFramebuffer(this.framebuffers.camera);
+    gl.deleteBuffer(this.squareBuffer);
+    this.programs = {};
+    this.listeners = { progress: [], complete: [] };
+  }
+
+  // view is the scene with its keyframed values at the current frame
+  _setView(view) {
+    let camera = this.compiled ? this.compiled.camera : null;
+    this.fovScale = view.fovScale || 0.5;
+    this.envTheta = view.environmentTheta || 0;
+    this.exposure = view.exposure || 1.0;
+    this.dir = view.cameraDir ? Vec3.normalize(view.cameraDir) : [0, 0, -1];
+    this.eye = view.cameraPos || [0, 0, 2];
+    if (camera) {
+      this.eye = camera.position;
+      this.dir = camera.direction;
+      this.fovScale = camera.fovScale || this.fovScale;
+    }
+    this.focalDepth = view.focalDepth || this.focalDepth;
+    this.apertureSize = view.apertureSize === undefined ? this.apertureSize : view.apertureSize;
+    this.lens = {};
+    lensSettings.forEach((name) => {
+      this.lens[name] = view[name];
+    });
+    let scale = this.compiled ? SceneCompiler.getNormalizeScale(this.compiled.normalizeMatrix) : 1;
+    this.medium = SceneCompiler.getMedium(view.medium || {}, scale);
+  }
+
+  _initGL() {
+    this.gl = this.canvas.getContext("webgl2", {
+      preserveDrawingBuffer: true,
+      antialias: false,
+      powerPreference: "high-performance"
+    });
+    if (!this.gl.getExtension('EXT_color_buffer_float')) {
+      throw new Error("Your device doesn't support 'EXT_color_buffer_float'");
+    }
+    this.gl.getExtension('OES_texture_float_linear');
+    let maxAovs = this.gl.getParameter(this.gl.MAX_DRAW_BUFFERS) - 1;
+    if (this.aovs.length > maxAovs) {
+      throw new Error("Your device can only render " + maxAovs + " AOVs at once");
+    }
+    let guides = waveletGuides.filter((name) => { return !this.aovs.includes(name) });
+    if (this.guides && this.aovs.length + guides.length > maxAovs) {
+      console.log("No room for the wavelet filter's guide AOVs");
+      this.guides = false;
+    }
+    if (this.guides) {
+      this.aovs = this.aovs.concat(guides);
+    }
+    this.canvas.width = this.resolution[0];
+    this.canvas.height = this.resolution[1];
+    this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    this.gl.disable(this.gl.BLEND);
+  }
+
+  async _loadShaders() {
+    if (!this.shaderSources) {
+      let urls = shaderNames.map((name) => { return new URL(name, this.shaderPath).href });
+      this.shaderSources = loadAssets(urls).then((res) => {
+        let sources = {};
+        shaderNames.forEach((name, i) => {
+          sources[name] = res[urls[i]];
+        });
+        return sources;
+      });
+    }
+    return this.shaderSources;
+  }
+
+  // Compiled bundles are only trusted when they were built from the exact same scene json
+  async _loadBundle(url, sceneText) {
+    let bundlePath = url.split('?')[0].replace(/\.json$/, '.fspt');
+    let buffer = await Utility.getBinary(bundlePath);
+    let compiled = buffer ? readBundle(buffer) : null;
+    if (compiled && compiled.sceneHash !== Utility.hashString(sceneText)) {
+      console.log("Ignoring stale scene bundle", bundlePath);
+      return null;
+    }
+    if (compiled) {
+      console.log("Using compiled scene bundle", bundlePath);
+    }
+    return compiled;
+  }
+
+  _getShader(str, id) {
+    let gl = this.gl;
+    let shader = gl.createShader(gl[id]);
+    gl.shaderSource(shader, str);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      console.log(id + gl.getShaderInfoLog(shader));
+      return null;
+    }
+    return shader;
+  }
+
+  _initProgram(fsSource, vsSource, uniforms, attributes) {
+    let gl = this.gl;
+    let fs = this._getShader(fsSource, "FRAGMENT_SHADER");
+    let vs = this._getShader(vsSource, "VERTEX_SHADER");
+    let program = gl.createProgram();
+    program.uniforms = {};
+    program.attributes = {};
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
+    gl.linkProgram(program);
+    gl.useProgram(program);
+    gl.deleteShader(fs);
+    gl.deleteShader(vs);
+    uniforms.forEach(function (name) {
+      program.uniforms[name] = gl.getUniformLocation(program, name);
+    });
+    attributes.forEach(function (name) {
+      program.attributes[name] = gl.getAttribLocation(program, name);
+    });
+
+    return program;
+  }
+
+  // The tracer is compiled for each scene, with the scene's defines and the render mode
+  _getPreprocessorDirectives() {
+    let preprocDirs = [...this.compiled.defines];
+    let modeSet = new Set(this.mode.split('_').map(e => e.toLowerCase()));
+    if (modeSet.has('nee')) {
+      console.log('Using next event estimation');
+      preprocDirs.push('#define USE_EXPLICIT');
+    }
+    preprocDirs.push(...this._getSamplerDirectives());
+    Object.entries(bounceLimits).forEach(([name, value]) => {
+      let limit = name in this.scene ? Math.max(0, Math.floor(this.scene[name])) : value;
+      preprocDirs.push('#define ' + name.replace(/[A-Z]/g, '_$&').toUpperCase() + ' ' + limit);
+    });
+    preprocDirs.push('#define NUM_ANALYTIC_LIGHTS ' + (this.scene.lights || []).length);
+    preprocDirs.push('#define NUM_AOVS ' + this.aovs.length);
+    this.aovs.forEach((name, i) => {
+      preprocDirs.push('#define AOV_' + name.toUpperCase() + ' ' + (i + 1));
+    });
+    return preprocDirs;
+  }
+
+  _getSamplerDirectives() {
+    return this.sampler === 'sobol' ? ['#define SAMPLER_SOBOL'] : [];
+  }
+
+  _initPrograms(shaders) {
+    Object.values(this.programs).forEach((program) => {
+      this.gl.deleteProgram(program);
+    });
+    let tracerSource = this.mode === 'test' ? shaders["bvh_test.fs"] : shaders["tracer.fs"];
+    this.programs.camera = this._initProgram(
+      prepareShader(shaders["camera.fs"], this._getSamplerDirectives(), shaders),
+      shaders["camera.vs"],
+      ["P", "I", "lensFeatures", "aperture", "resolution", "randBase", "fovScale", "tick", "sampleSeed"],
+      ["corner"]
+    );
+    this.programs.tracer = this._initProgram(
+      prepareShader(tracerSource, this._getPreprocessorDirectives(), shaders),
+      shaders["tracer.vs"],
+      [
+        "tick", "sampleSeed", "randBase", "envTex", "fbTex", "triTex", "bvhTex", "matTex",
+        "normTex", "lightTex", "uvTex", "texArray", "envPdfTex", "envTheta", "radianceBins",
+        "lightRanges", "numLights", "cameraPosTex", "cameraDirTex", "instTex", "aovTex", "errorTarget", "minSamples",
+        "analyticLights", "mediumAbsorption", "mediumScattering", "mediumAnisotropy", "densityTex", "densityMin",
+        "densityMax", "maxDensity"
+      ],
+      ["corner"]
+    );
+    this.programs.atrous = this._initProgram(
+      shaders["atrous.fs"],
+      shaders["draw.vs"],
+      [
+        "colorTex", "aovTex", "albedoLayer", "normalLayer", "depthLayer", "stepSize", "demodulate", "remodulate",
+        "bounds", "colorSigma", "normalSigma", "depthSigma", "albedoSigma"
+      ],
+      ["corner"]
+    );
+    this.programs.convergence = this._initProgram(
+      prepareShader(shaders["convergence.fs"], [], shaders),
+      shaders["draw.vs"],
+      ["fbTex", "samples", "errorTarget"],
+      ["corner"]
+    );
+    this.programs.draw = this._initProgram(
+      prepareShader(shaders["draw.fs"], [], shaders),
+      shaders["draw.vs"],
+      [
+        "fbTex", "exposure", "saturation", "denoise", "maxSigma", "scale", "aovTex", "aovLayer", "aovDisplay", "samples",
+        "errorTarget"
+      ],
+      ["corner"]
+    );
+  }
+
+  _createEnvironmentMap(image) {
+    let gl = this.gl;
+    let tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB32F, image.width, image.height, 0, gl.RGB, gl.FLOAT, image.data);
+    return tex;
+  }
+
+  // Suns can point at the environment's brightest spot or the sky's sun, which turn with it
+  _updateLights() {
+    let scene = this.scene;
+    if (!this.compiled) {
+      return;
+    }
+    this.lightData = packLights(scene.lights || [], this.compiled.normalizeMatrix, {
+      radianceBins: this.compiled.radianceBins,
+      width: this.environment.width,
+      height: this.environment.height,
+      envTheta: this.envTheta,
+      sunDirection: isSky(scene.environment) ? getSunDirection(scene.environment, this.envTheta) : null
+    }, this.frame);
+  }
+
+  _initEnvironment() {
+    this.textures.env = this._createEnvironmentMap(this.environment);
+    this.textures.envPdf = this._createEnvPdfTexture(this.environment);
+  }
+
+  _createEnvPdfTexture(image) {
+    let gl = this.gl;
+    let tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    let pdfs = getBinPdfs(this.compiled.radianceBins, image.width, image.height);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, image.width, image.height, 0, gl.RED, gl.FLOAT, pdfs);
+    return tex;
+  }
+
+  _uploadDataTexture(tex, buffer) {
+    let gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    if (buffer.channels === 2) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RG32F, buffer.width, buffer.height, 0, gl.RG, gl.FLOAT, buffer.data);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB32F, buffer.width, buffer.height, 0, gl.RGB, gl.FLOAT, buffer.data);
+    }
+  }
+
+  _createDataTexture(buffer) {
+    let tex = this._createTexture();
+    this._uploadDataTexture(tex, buffer);
+    return tex;
+  }
+
+  _initSceneTextures(assets) {
+    let buffers = this.compiled.buffers;
+    ["bvh", "materials", "triangles", "normals", "lights", "uvs", "instances"].forEach((name) => {
+      this.textures[name] = this._createDataTexture(buffers[name]);
+    });
+    this._initAtlas(this.compiled.atlas, assets);
+    if (this.densityGrid) {
+      this.textures.density = this._createDensityTexture(this.densityGrid);
+    }
+    console.log("Textures uploaded");
+  }
+
+  _createDensityTexture(grid) {
+    let gl = this.gl;
+    let tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_3D, tex);
+    [gl.TEXTURE_WRAP_S, gl.TEXTURE_WRAP_T, gl.TEXTURE_WRAP_R].forEach((wrap) => {
+      gl.texParameteri(gl.TEXTURE_3D, wrap, gl.CLAMP_TO_EDGE);
+    });
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texImage3D(gl.TEXTURE_3D, 0, gl.R32F, grid.width, grid.height, grid.depth, 0, gl.RED, gl.FLOAT, grid.data);
+    return tex;
+  }
+
+  // The grid fills the medium's bounds, or its own, moved along with the scene when it's normalized
+  _getDensityBounds() {
+    let bounds = this.scene.medium.bounds || [this.densityGrid.bounds.min, this.densityGrid.bounds.max];
+    return bounds.map((corner) => { return Mat4.transformPoint(this.compiled.normalizeMatrix, corner) });
+  }
+
+  _deleteSceneTextures() {
+    let names = ["env", "envPdf", "bvh", "materials", "triangles", "normals", "lights", "uvs", "instances", "array", "density"];
+    names.forEach((name) => {
+      if (this.textures[name]) {
+        this.gl.deleteTexture(this.textures[name]);
+        delete this.textures[name];
+      }
+    });
+  }
+
+  _initAtlas(atlas, assets) {
+    let gl = this.gl;
+    this.textures.array = gl.createTexture();
+
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.textures.array);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    let pixels = atlas.pixels || TexturePacker.fromDescriptors(atlas.res, atlas.textures, assets).getPixels();
+    gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA, atlas.res, atlas.res, atlas.layers, 0, gl.RGBA,
+      gl.UNSIGNED_BYTE, pixels
+    );
+  }
+
+  _createTexture() {
+    let gl = this.gl;
+    let t = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, t);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, this.resolution[0], this.resolution[1], 0, gl.RGBA, gl.FLOAT, null);
+    return t;
+  }
+
+  // One layer per AOV, in the order they were asked for
+  _createAovTexture() {
+    let gl = this.gl;
+    let t = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, t);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA32F, this.resolution[0], this.resolution[1], this.aovs.length, 0,
+      gl.RGBA, gl.FLOAT, null
+    );
+    return t;
+  }
+
+  // The image is the first draw buffer, followed by a layer of aovTex for each AOV
+  _createScreenFramebuffer(tex, aovTex) {
+    let gl = this.gl;
+    let fbo = gl.createFramebuffer();
+    let drawBuffers = [gl.COLOR_ATTACHMENT0];
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    if (aovTex) {
+      this.aovs.forEach((name, i) => {
+        gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1 + i, aovTex, 0, i);
+        drawBuffers.push(gl.COLOR_ATTACHMENT1 + i);
+      });
+    }
+    gl.drawBuffers(drawBuffers);
+    return fbo;
+  }
+
+  // Raw pixels, bottom row first, of the latest complete sample of an AOV layer, or of the image for -1
+  _readAccumulation(layer) {
+    let gl = this.gl;
+    let [width, height] = this.resolution;
+    let pixels = new Float32Array(width * height * 4);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.framebuffers.screen[(this.pingpong + 1) % 2]);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1 + layer);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, pixels);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    return pixels;
+  }
+
+  // Everything a checkpoint's samples depend on, which has to match for it to be resumed
+  _getCheckpointState() {
+    return {
+      scene: this.sceneKey,
+      frame: this.frame,
+      camera: this.getCamera(),
+      envTheta: this.envTheta,
+      lights: Array.from(this.lightData),
+      resolution: this.resolution,
+      mode: this.mode,
+      errorTarget: this.errorTarget,
+      minSamples: this.minSamples,
+      sampler: this.sampler,
+      aovs: this.aovs
+    };
+  }
+
+  _saveCheckpoint() {
+    this.checkpointTime = performance.now();
+    this.savingCheckpoint = true;
+    saveCheckpoint(this.sceneKey, this.getCheckpoint()).catch((e) => {
+      console.log("Couldn't save a checkpoint", e);
+    }).finally(() => {
+      this.savingCheckpoint = false;
+    });
+  }
+
+  async _resumeCheckpoint() {
+    if (!this.checkpointInterval) {
+      return;
+    }
+    try {
+      this.restoreCheckpoint(await loadCheckpoint(this.sceneKey));
+    } catch (e) {
+      console.log("Couldn't load a checkpoint", e);
+    }
+  }
+
+  // Everything on the GPU is gone after a context loss, so it's all made again before resuming from a checkpoint
+  async _restoreContext() {
+    this.programs = {};
+    this.textures = {};
+    this.framebuffers = { screen: [], filter: [], camera: null };
+    this._initGL();
+    this._initBuffers();
+    if (!this.compiled) {
+      return;
+    }
+    this._initEnvironment();
+    this._initSceneTextures(this.assets);
+    this._initPrograms(await this._loadShaders());
+    this._start();
+    await this._resumeCheckpoint();
+  }
+
+  // The AOV layer of output, -1 for the image itself
+  _getLayer(output) {
+    if (output !== 'beauty' && !this.aovs.includes(output)) {
+      throw new Error("The " + output + " AOV isn't being rendered");
+    }
+    return this.aovs.indexOf(output);
+  }
+
+  _createCameraFramebuffer(tex) {
+    let gl = this.gl;
+    let fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex.pos, 0);
+    gl.framebufferTexture2D(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, tex.dir, 0);
+    gl.drawBuffers([
+      gl.COLOR_ATTACHMENT0,
+      gl.COLOR_ATTACHMENT1
+    ]);
+    return fbo;
+  }
+
+  _initBuffers() {
+    let gl = this.gl;
+    this.squareBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.squareBuffer);
+    let vertices = [
+      -1.0, 3.0, 0.0,
+      3.0, -1.0, 0.0,
+      -1.0, -1.0, 0.0
+    ];
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+    this.syncPixel = new Float32Array(4);
+    this.textures.screen = [];
+    this.textures.screen.push(this._createTexture());
+    this.textures.screen.push(this._createTexture());
+    this.textures.aovs = this.aovs.length > 0 ? [this._createAovTexture(), this._createAovTexture()] : [];
+    this.textures.camera = {};
+    this.textures.camera.pos = this._createTexture();
+    this.textures.camera.dir = this._createTexture();
+    this.framebuffers.screen.push(this._createScreenFramebuffer(this.textures.screen[0], this.textures.aovs[0]));
+    this.framebuffers.screen.push(this._createScreenFramebuffer(this.textures.screen[1], this.textures.aovs[1]));
+    this.textures.filter = this.guides ? [this._createTexture(), this._createTexture()] : [];
+    this.framebuffers.filter = this.textures.filter.map((tex) => { return this._createScreenFramebuffer(tex) });
+    this.framebuffers.camera = this._createCameraFramebuffer(this.textures.camera);
+  }
+
+  _drawCamera(i) {
+    let gl = this.gl;
+    let program = this.programs.camera;
+    gl.useProgram(program);
+    gl.viewport(0, 0, this.resolution[0] * this.resScale, this.resolution[1] * this.resScale);
+    gl.vertexAttribPointer(program.attributes.corner, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(program.attributes.corner);
+    let camera = this.getCamera();
+    let aspect = this.resolution[0] / this.resolution[1];
+    gl.uniform2fv(program.uniforms.fovScale, Camera.getFovScale(camera, aspect));
+    gl.uniform1f(program.uniforms.randBase, Math.random() * 10000);
+    gl.uniform1ui(program.uniforms.tick, i);
+    gl.uniform1ui(program.uniforms.sampleSeed, this.sampleSeed);
+    // An f-number's aperture is in the scene's metres, which normalize rescales like everything else in it
+    let scale = SceneCompiler.getNormalizeScale(this.compiled.normalizeMatrix);
+    let apertureRadius = Camera.getApertureRadius(camera, aspect, scale);
+    gl.uniform2fv(program.uniforms.lensFeatures, [1 - 1 / this.focalDepth, apertureRadius]);
+    gl.uniform4fv(program.uniforms.aperture, Camera.getAperture(camera));
+    gl.uniform2fv(program.uniforms.resolution, this.resolution);
+    gl.uniform3fv(program.uniforms.P, this.eye);
+    gl.uniform3fv(program.uniforms.I, this.dir);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.framebuffers.camera);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  _drawTracer(i) {
+    let gl = this.gl;
+    let program = this.programs.tracer;
+    let textures = this.textures;
+    gl.useProgram(program);
+    gl.viewport(0, 0, this.resolution[0] * this.resScale, this.resolution[1] * this.resScale);
+    gl.vertexAttribPointer(program.attributes.corner, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(program.attributes.corner);
+    gl.uniform1i(program.uniforms.fbTex, 0);
+    gl.uniform1i(program.uniforms.triTex, 1);
+    gl.uniform1i(program.uniforms.bvhTex, 2);
+    gl.uniform1i(program.uniforms.matTex, 3);
+    gl.uniform1i(program.uniforms.normTex, 4);
+    gl.uniform1i(program.uniforms.lightTex, 5);
+    gl.uniform1i(program.uniforms.uvTex, 6);
+    gl.uniform1i(program.uniforms.envTex, 7);
+    gl.uniform1i(program.uniforms.cameraPosTex, 8);
+    gl.uniform1i(program.uniforms.cameraDirTex, 9);
+    gl.uniform1i(program.uniforms.texArray, 10);
+    gl.uniform1i(program.uniforms.instTex, 11);
+    gl.uniform1i(program.uniforms.aovTex, 12);
+    gl.uniform1i(program.uniforms.envPdfTex, 14);
+    gl.uniform1ui(program.uniforms.tick, i);
+    gl.uniform1ui(program.uniforms.sampleSeed, this.sampleSeed);
+    gl.uniform1f(program.uniforms.errorTarget, this._getErrorTarget());
+    gl.uniform1ui(program.uniforms.minSamples, this.minSamples);
+    gl.uniform1f(program.uniforms.numLights, this.compiled.lightRanges.length / 2);
+    gl.uniform1f(program.uniforms.randBase, Math.random() * 10000);
+    gl.uniform1f(program.uniforms.envTheta, this.envTheta);
+    gl.uniform2fv(program.uniforms.lightRanges, this.compiled.lightRanges);
+    gl.uniform4uiv(program.uniforms.radianceBins, this.compiled.radianceBins);
+    if (this.lightData.length > 0) {
+      gl.uniform4fv(program.uniforms.analyticLights, this.lightData);
+    }
+    gl.uniform3fv(program.uniforms.mediumAbsorption, this.medium.absorption);
+    gl.uniform3fv(program.uniforms.mediumScattering, this.medium.scattering);
+    gl.uniform1f(program.uniforms.mediumAnisotropy, this.medium.anisotropy);
+    if (textures.density) {
+      let [min, max] = this._getDensityBounds();
+      gl.uniform1i(program.uniforms.densityTex, 13);
+      gl.uniform3fv(program.uniforms.densityMin, min);
+      gl.uniform3fv(program.uniforms.densityMax, max);
+      gl.uniform1f(program.uniforms.maxDensity, this.densityGrid.max);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, textures.screen[(i + 1) % 2]);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, textures.triangles);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, textures.bvh);
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, textures.materials);
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, textures.normals);
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, textures.lights);
+    gl.activeTexture(gl.TEXTURE6);
+    gl.bindTexture(gl.TEXTURE_2D, textures.uvs);
+    gl.activeTexture(gl.TEXTURE7);
+    gl.bindTexture(gl.TEXTURE_2D, textures.env);
+    gl.activeTexture(gl.TEXTURE8);
+    gl.bindTexture(gl.TEXTURE_2D, textures.camera.pos);
+    gl.activeTexture(gl.TEXTURE9);
+    gl.bindTexture(gl.TEXTURE_2D, textures.camera.dir);
+    gl.activeTexture(gl.TEXTURE10);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, textures.array);
+    gl.activeTexture(gl.TEXTURE11);
+    gl.bindTexture(gl.TEXTURE_2D, textures.instances);
+    if (textures.aovs.length > 0) {
+      gl.activeTexture(gl.TEXTURE12);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, textures.aovs[(i + 1) % 2]);
+    }
+    if (textures.density) {
+      gl.activeTexture(gl.TEXTURE13);
+      gl.bindTexture(gl.TEXTURE_3D, textures.density);
+    }
+    gl.activeTexture(gl.TEXTURE14);
+    gl.bindTexture(gl.TEXTURE_2D, textures.envPdf);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.screen[i % 2]);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  // Filters the image in passes between the filter textures, returning the one the last pass wrote
+  _drawWavelet(i) {
+    let gl = this.gl;
+    let program = this.programs.atrous;
+    let settings = this.wavelet;
+    let bounds = [this.resolution[0] * this.resScale, this.resolution[1] * this.resScale];
+    let input = this.textures.screen[i % 2];
+    gl.useProgram(program);
+    gl.viewport(0, 0, bounds[0], bounds[1]);
+    gl.vertexAttribPointer(program.attributes.corner, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(program.attributes.corner);
+    gl.uniform1i(program.uniforms.colorTex, 0);
+    gl.uniform1i(program.uniforms.aovTex, 1);
+    gl.uniform1i(program.uniforms.albedoLayer, this.aovs.indexOf('albedo'));
+    gl.uniform1i(program.uniforms.normalLayer, this.aovs.indexOf('normal'));
+    gl.uniform1i(program.uniforms.depthLayer, this.aovs.indexOf('depth'));
+    gl.uniform2fv(program.uniforms.bounds, bounds);
+    gl.uniform1f(program.uniforms.normalSigma, settings.normalSigma);
+    gl.uniform1f(program.uniforms.depthSigma, settings.depthSigma);
+    gl.uniform1f(program.uniforms.albedoSigma, settings.albedoSigma);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.textures.aovs[i % 2]);
+    gl.activeTexture(gl.TEXTURE0);
+    for (let pass = 0; pass < settings.iterations; pass++) {
+      gl.uniform1i(program.uniforms.stepSize, 1 << pass);
+      gl.uniform1i(program.uniforms.demodulate, pass === 0);
+      gl.uniform1i(program.uniforms.remodulate, pass === settings.iterations - 1);
+      // Each pass sees less noise than the last, so it can be stricter about color
+      gl.uniform1f(program.uniforms.colorSigma, settings.colorSigma * Math.pow(2, -pass));
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.filter[pass % 2]);
+      gl.bindTexture(gl.TEXTURE_2D, input);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+      input = this.textures.filter[pass % 2];
+    }
+    return input;
+  }
+
+  _drawQuad(i, output = this.display) {
+    let gl = this.gl;
+    let program = this.programs.draw;
+    let showError = output === 'error';
+    let layer = showError ? -1 : this._getLayer(output);
+    let texture = this.textures.screen[i % 2];
+    if (layer < 0 && !showError && this.wavelet.enabled && this.guides) {
+      texture = this._drawWavelet(i);
+    }
+    gl.useProgram(program);
+    gl.viewport(0, 0, this.resolution[0], this.resolution[1]);
+    gl.vertexAttribPointer(program.attributes.corner, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(program.attributes.corner);
+    gl.uniform1f(program.uniforms.maxSigma, this.maxSigma);
+    gl.uniform1f(program.uniforms.saturation, this.saturation);
+    gl.uniform1f(program.uniforms.exposure, this.exposure * Camera.getExposure(this.lens));
+    gl.uniform1i(program.uniforms.denoise, this.denoise);
+    gl.uniform1f(program.uniforms.scale, this.resScale);
+    gl.uniform1i(program.uniforms.fbTex, 0);
+    gl.uniform1i(program.uniforms.aovTex, 1);
+    gl.uniform1i(program.uniforms.aovLayer, layer);
+    gl.uniform1i(program.uniforms.aovDisplay, showError ? errorDisplay : layer >= 0 ? aovDisplays[output] : 0);
+    gl.uniform1f(program.uniforms.samples, this.pingpong);
+    gl.uniform1f(program.uniforms.errorTarget, this.errorTarget || defaultErrorTarget);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    if (layer >= 0) {
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.textures.aovs[i % 2]);
+      gl.activeTexture(gl.TEXTURE0);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  _clear() {
+    let gl = this.gl;
+    if (!this.moving) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.screen[0]);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.screen[1]);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+    // Each accumulation gets its own scramble, or every restart would repeat the same noise
+    this.sampleSeed = Math.floor(Math.random() * 4294967296);
+    this.checkpointTime = performance.now();
+    this.pingpong = 0;
+    this.tile = 0;
+    this.converged = false;
+    if (this.convergenceQuery !== null) {
+      gl.deleteQuery(this.convergenceQuery);
+      this.convergenceQuery = null;
+    }
+    this.dirty = false;
+  }
+
+  _emit(name, event) {
+    this.listeners[name].forEach((listener) => {
+      listener(event);
+    });
+  }
+
+  /**
+   * Traces the next tile of the current sample, and counts the sample once its last tile is done. Tiles read the
+   * previous sample's buffer and write the current one, so the accumulation is the same as tracing it all at once.
+   * With wait set, returns once the GPU has finished the tile.
+   */
+  _drawTile(wait) {
+    let gl = this.gl;
+    // Previews restart every frame, so they're never split up
+    let [columns, rows] = this.moving ? [1, 1] : this.tiles;
+    let width = this.resolution[0] * this.resScale;
+    let height = this.resolution[1] * this.resScale;
+    let column = this.tile % columns;
+    let row = Math.floor(this.tile / columns);
+    let x = Math.floor(column * width / columns);
+    let y = Math.floor(row * height / rows);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(x, y, Math.floor((column + 1) * width / columns) - x, Math.floor((row + 1) * height / rows) - y);
+    this._drawCamera(this.pingpong);
+    this._drawTracer(this.pingpong);
+    gl.disable(gl.SCISSOR_TEST);
+    if (wait) {
+      gl.readPixels(x, y, 1, 1, gl.RGBA, gl.FLOAT, this.syncPixel);
+    } else {
+      gl.flush();
+    }
+    this.tile++;
+    if (this.tile >= columns * rows) {
+      this.tile = 0;
+      this.pingpong++;
+      this._emit('progress', { samples: this.pingpong, target: this.sampleTarget });
+    }
+  }
+
+  // Draws the convergence test with an occlusion query, whose answer is picked up on a later tick so nothing waits
+  _checkConvergence() {
+    let gl = this.gl;
+    let program = this.programs.convergence;
+    if (this.convergenceQuery !== null) {
+      if (!gl.getQueryParameter(this.convergenceQuery, gl.QUERY_RESULT_AVAILABLE)) {
+        return;
+      }
+      this.converged = !gl.getQueryParameter(this.convergenceQuery, gl.QUERY_RESULT);
+      gl.deleteQuery(this.convergenceQuery);
+      this.convergenceQuery = null;
+      return;
+    }
+    gl.useProgram(program);
+    gl.viewport(0, 0, this.resolution[0], this.resolution[1]);
+    gl.vertexAttribPointer(program.attributes.corner, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(program.attributes.corner);
+    gl.uniform1i(program.uniforms.fbTex, 0);
+    gl.uniform1f(program.uniforms.samples, this.pingpong);
+    gl.uniform1f(program.uniforms.errorTarget, this.errorTarget);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, this.textures.screen[(this.pingpong + 1) % 2]);
+    gl.colorMask(false, false, false, false);
+    this.convergenceQuery = gl.createQuery();
+    gl.beginQuery(gl.ANY_SAMPLES_PASSED_CONSERVATIVE, this.convergenceQuery);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.endQuery(gl.ANY_SAMPLES_PASSED_CONSERVATIVE);
+    gl.colorMask(true, true, true, true);
+  }
+
+  // The error target in effect, previews and the BVH test don't accumulate variance that means anything
+  _getErrorTarget() {
+    return this.moving || this.mode === 'test' ? 0 : this.errorTarget;
+  }
+
+  _tick() {
+    let max = this.sampleTarget;
+    this.resScale = this.moving ? 0.25 : 1.0;
+    if (this.dirty) {
+      this._clear();
+    }
+    let start = performance.now();
+    while (max && this.pingpong < max && !this.converged && this.active) {
+      this._drawTile(this.timeBudget > 0);
+      if (performance.now() - start >= this.timeBudget) {
+        break;
+      }
+    }
+    if (this._getErrorTarget() && this.pingpong >= this.minSamples && this.tile === 0 && !this.converged) {
+      this._checkConvergence();
+    }
+    this._drawQuad(this.pingpong);
+    let checkpointDue = performance.now() - this.checkpointTime > this.checkpointInterval * 1000;
+    if (this.checkpointInterval && checkpointDue && this.pingpong > 0 && !this.moving && !this.savingCheckpoint) {
+      this._saveCheckpoint();
+    }
+    if ((this.pingpong >= max || this.converged) && !this.completed && !this.moving) {
+      this.completed = true;
+      if (this.checkpointInterval) {
+        this._saveCheckpoint();
+      }
+      this._emit('complete', { samples: this.pingpong, frame: this.frame });
+    }
+    if (this.animationFrame !== null) {
+      this.animationFrame = requestAnimationFrame(() => { this._tick() });
+    }
+  }
+
+  _start() {
+    this.restart();
+    this.animationFrame = requestAnimationFrame(() => { this._tick() });
+  }
+
+  _stop() {
+    if (this.animationFrame !== null) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+  }
+}
@@ -0,0 +1,80 @@
+import * as ObjLoader from './obj_loader.js'
+import * as GltfLoader from './gltf_loader.js'
+import {
+  BVH
+} from './bvh.js'
+
+export function isGltf(path) {
+  return !!path.toLowerCase().match(/(\.gltf$)|(\.glb$)/);
+}
+
+/**
+ * Parses a prop and builds its BVH subtree. Runs in a scene worker, or inline where there are no workers.
+ * Triangle data comes back as typed arrays in leaf order rather than Triangle objects, so it can be transferred.
+ * nodes holds 9 values per node: left, right, first triangle (-1 for inner nodes), then the bounding box.
+ */
+export async function buildProp(prop, data, worldTransforms, leafSize) {
+  let basePath = prop.path.split('/').slice(0, -1).join('/');
+  console.log("Parsing:", prop.path);
+  let loader = isGltf(prop.path) ? GltfLoader : ObjLoader;
+  let parsed = await loader.parseMesh(data, prop, worldTransforms, basePath);
+  let groups = Object.values(parsed.groups);
+  let triangles = [];
+  groups.forEach((group, i) => {
+    group.triangles.forEach((t) => {
+      t.group = i;
+      triangles.push(t);
+    });
+  });
+
+  let time = new Date().getTime();
+  let bvh = new BVH(triangles, leafSize);
+  console.log("BVH for", prop.path, "built in", (new Date().getTime() - time) / 1000.0, "seconds.  Depth:", bvh.depth);
+  let serialized = bvh.serializeTree();
+  let count = triangles.length;
+  let nodes = new Float64Array(serialized.length * 9);
+  let positions = new Float32Array(count * 9);
+  let normals = new Float32Array(count * 27);
+  let uvs = new Float32Array(count * 6);
+  let groupIndices = new Uint32Array(count);
+  let triIndex = 0;
+  serialized.forEach((e, i) => {
+    let node = e.node;
+    let box = node.boundingBox;
+    nodes.set([e.left || 0, e.right || 0, node.leaf ? triIndex : -1, ...box.min, ...box.max], i * 9);
+    if (node.leaf) {
+      node.getTriangles().forEach((t) => {
+        positions.set([...t.verts[0], ...t.verts[1], ...t.verts[2]], triIndex * 9);
+        for (let k = 0; k < 3; k++) {
+          normals.set([...t.normals[k], ...t.tangents[k], ...t.bitangents[k]], triIndex * 27 + k * 9);
+        }
+        uvs.set([...t.uvs[0], ...t.uvs[1], ...t.uvs[2]], triIndex * 6);
+        groupIndices[triIndex++] = t.group;
+      });
+    }
+  });
+
+  return {
+    materials: groups.map((group) => { return group.material }),
+    triangleCount: count,
+    nodes: nodes,
+    positions: positions,
+    normals: normals,
+    uvs: uvs,
+    groupIndices: groupIndices,
+    bounds: parsed.bounds,
+    urls: Array.from(parsed.urls || []),
+    images: parsed.images || {},
+    cameras: parsed.cameras || []
+  };
+}
+
+export function getTransferables(built) {
+  let transfer = [built.nodes, built.positions, built.normals, built.uvs, built.groupIndices].map((array) => {
+    return array.buffer;
+  });
+  Object.values(built.images).forEach((image) => {
+    transfer.push(image.bytes.buffer);
+  });
+  return transfer;
+}
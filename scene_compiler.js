@@ -0,0 +1,718 @@
+import * as Utility from './utility.js'
+import {
+  buildProp
+} from './prop_builder.js'
+import {
+  WorkerPool
+} from './worker_pool.js'
+import {
+  TexturePacker
+} from './texture_packer.js'
+import {
+  ProcessEnvRadiance,
+  loadEnvironment
+} from './env_sampler.js'
+import {
+  getPropMatrix
+} from './obj_loader.js'
+import {
+  BoundingBox,
+  buildTopLevel,
+  appendSubtree
+} from './bvh.js'
+import {
+  Vec3,
+  Mat4
+} from './vector.js'
+import {
+  isAnimated,
+  animate
+} from './animation.js'
+
+export const leafSize = 4;
+// Floats per material: 9 texels of map indices, emission, ior, the principled parameters and the medium inside
+const materialSize = 27;
+// Principled parameters as the MTL key and the prop key that set them, and their default
+const principledParameters = [
+  ['specular_tint', 'specularTint', 0],
+  ['aniso', 'anisotropic', 0],
+  ['anisor', 'anisotropicRotation', 0],
+  ['ps', 'sheen', 0],
+  ['sheen_tint', 'sheenTint', 0.5],
+  ['pc', 'clearcoat', 0],
+  ['pcr', 'clearcoatRoughness', 0.03],
+  ['subsurface', 'subsurface', 0],
+  ['transmission', 'transmission', 0]
+];
+
+export function luma(color) {
+  return Vec3.dot(color, [0.2126, 0.7152, 0.0722]);
+}
+
+function getStrength(value) {
+  return typeof value === 'number' ? value : 1;
+}
+
+// Beer-Lambert coefficients that leave white light the given color after travelling the distance through a volume
+function getAbsorption(color, distance) {
+  if (!color) {
+    return [0, 0, 0];
+  }
+  return color.map((c) => { return -Math.log(Math.max(c, 1e-4)) / (distance || 1) });
+}
+
+// MTL illumination models that refract: glass, refraction, refraction with Fresnel and glass without reflections
+const glassIllums = new Set([4, 6, 7, 9]);
+
+/**
+ * Whether a material is glass without saying how transmissive it is: a dielectric key, from before there was a
+ * transmission weight, on the MTL or the prop, or for plain MTLs a glass illumination model or a transmission filter
+ * that lets some colored light through
+ */
+function isGlass(mtl, transforms) {
+  let filter = mtl["tf"];
+  let dielectric = [mtl["dielectric"], transforms.dielectric].some((d) => { return typeof d === 'number' && d >= 0 });
+  return dielectric || glassIllums.has(mtl["illum"]) ||
+    (Array.isArray(filter) && filter.some((c) => { return c < 1 }) && filter.some((c) => { return c > 0 }));
+}
+
+// Opacity is read from the alpha of the atlas, so a separate mask has its grey level moved there
+function addOpacityMap(texturePacker, assets, url, diffuseImage, diffuseIndex) {
+  let img = assets[url];
+  if (!img) {
+    throw new Error("Opacity map " + url + " wasn't loaded");
+  }
+  if (img === diffuseImage) {
+    return diffuseIndex;
+  }
+  img.swizzle = [0, 1, 2, 0];
+  return texturePacker.addTexture(img);
+}
+
+function getCoefficients(value) {
+  return typeof value === 'number' ? Vec3.splat(value) : Array.from(value || [0, 0, 0]);
+}
+
+// How much longer distances are in the compiled scene than in the scene file, which normalize changes
+export function getNormalizeScale(normalizeMatrix) {
+  return Vec3.magnitude(Mat4.transformDirection(normalizeMatrix, [1, 0, 0]));
+}
+
+/**
+ * A medium's absorption and scattering per unit of distance, each a number or an RGB triple, and the anisotropy of
+ * its Henyey-Greenstein phase function, from -1 for light scattered back to 1 for light carrying on. scale turns the
+ * scene's distances into the compiled scene's.
+ */
+export function getMedium(medium, scale = 1) {
+  return {
+    absorption: Vec3.scale(getCoefficients(medium.absorption), 1 / scale),
+    scattering: Vec3.scale(getCoefficients(medium.scattering), 1 / scale),
+    anisotropy: Math.max(-0.99, Math.min(0.99, medium.anisotropy || 0))
+  };
+}
+
+export function mergeSceneProps(scene) {
+  return [].concat((scene.props || []), (scene.static_props || []), Object.values(scene.animated_props || []))
+}
+
+// Every file the scene references directly. Textures named in MTL files or glTF are discovered while parsing.
+export function getSceneUrls(scene) {
+  // Use a set to prevent multiple requests
+  let pathSet = new Set();
+  mergeSceneProps(scene).forEach(function (e) {
+    pathSet.add(e.path);
+    if (typeof e.diffuse === 'string') {
+      pathSet.add(e.diffuse);
+    }
+    if (typeof e.metallicRoughness === 'string') {
+      pathSet.add(e.metallicRoughness);
+    }
+    if (e.normal) {
+      pathSet.add(e.normal);
+    }
+    if (e.emission) {
+      pathSet.add(e.emission);
+    }
+    if (typeof e.opacity === 'string') {
+      pathSet.add(e.opacity);
+    }
+  });
+  if (typeof scene.environment === 'string') {
+    pathSet.add(scene.environment);
+  }
+  if (scene.medium && scene.medium.density) {
+    pathSet.add(scene.medium.density);
+  }
+  return pathSet;
+}
+
+function getMaterial(transforms, group, texturePacker, assets, basePath, emissionStrength) {
+  let material = {};
+  let diffuseImage = null;
+  let diffuseIndex = null;
+  let roughnessIndex = null;
+  let normalIndex = null;
+  let specularIndex = null;
+  if (group.material["map_kd"]) {
+    diffuseImage = assets[basePath + "/" + group.material["map_kd"]];
+    diffuseIndex = texturePacker.addTexture(diffuseImage, true, group.material["map_kd_factor"]);
+  } else if (group.material["kd"]) {
+    diffuseIndex = texturePacker.addColor(group.material["kd"]);
+  } else if (typeof transforms.diffuse === 'string') {
+    diffuseImage = assets[transforms.diffuse];
+    diffuseIndex = texturePacker.addTexture(diffuseImage, true);
+  } else if (typeof transforms.diffuse === 'object') {
+    diffuseIndex = texturePacker.addColor(transforms.diffuse);
+  } else {
+    diffuseIndex = texturePacker.addColor([0.5, 0.5, 0.5]);
+  }
+
+  if (group.material["map_pmr"]) {
+    let assetUrl = basePath + "/" + group.material["map_pmr"];
+    let img = assets[assetUrl];
+    img.swizzle = group.material["pmr_swizzle"];
+    roughnessIndex = texturePacker.addTexture(img);
+  } else if (group.material["pmr"]) {
+    roughnessIndex = texturePacker.addColor(group.material["pmr"]);
+  } else if (typeof transforms.metallicRoughness === 'string') {
+    let img = assets[transforms.metallicRoughness];
+    img.swizzle = transforms.mrSwizzle;
+    roughnessIndex = texturePacker.addTexture(img);
+  } else if (typeof transforms.metallicRoughness === 'object') {
+    roughnessIndex = texturePacker.addColor(transforms.metallicRoughness);
+  } else {
+    roughnessIndex = texturePacker.addColor([0.0, 0.3, 0]);
+  }
+
+  // TODO rename this
+  let emissionMap = group.material["map_ke"] || group.material["map_kem"];
+  if (emissionMap) {
+    let assetUrl = basePath + "/" + emissionMap;
+    specularIndex = texturePacker.addTexture(assets[assetUrl], true);
+  } else if (group.material["kem"]) {
+    specularIndex = texturePacker.addColor(group.material["kem"]);
+  } else if (typeof transforms.emission === 'string') {
+    specularIndex = texturePacker.addTexture(assets[transforms.emission], true);
+  } else {
+    specularIndex = texturePacker.addColor([1, 1, 1]);
+  }
+
+  // Radiance is the emission map scaled by the emission color and the prop and scene strengths
+  let emissionColor = [0, 0, 0];
+  if (group.material["ke"] && luma(group.material["ke"]) > 0) {
+    emissionColor = group.material["ke"];
+  } else if (Array.isArray(transforms.emittance) && luma(transforms.emittance) > 0) {
+    emissionColor = transforms.emittance;
+  } else if (emissionMap || group.material["kem"] || typeof transforms.emission === 'string') {
+    emissionColor = [1, 1, 1];
+  }
+  let strength = getStrength(transforms.emissionStrength) * emissionStrength;
+
+  if (group.material["map_bump"]) {
+    let assetUrl = basePath + "/" + group.material["map_bump"];
+    normalIndex = texturePacker.addTexture(assets[assetUrl]);
+  } else if (transforms.normal) {
+    normalIndex = texturePacker.addTexture(assets[transforms.normal]);
+  } else {
+    normalIndex = texturePacker.addColor([0.5, 0.5, 1]);
+  }
+  // Where the opacity is below the alpha cutoff the surface is cut out, and without one it's partly seen through.
+  // Glass is seen through by refracting, so the dissolve exporters give it is left out.
+  let glass = isGlass(group.material, transforms);
+  material.opacityIndex = -1;
+  if (group.material["map_d"]) {
+    let url = basePath + "/" + group.material["map_d"];
+    material.opacityIndex = addOpacityMap(texturePacker, assets, url, diffuseImage, diffuseIndex);
+  } else if (typeof transforms.opacity === 'string') {
+    material.opacityIndex = addOpacityMap(texturePacker, assets, transforms.opacity, diffuseImage, diffuseIndex);
+  } else if ((group.material["d"] < 1 && !glass) || transforms.opacity < 1) {
+    let opacity = group.material["d"] < 1 && !glass ? group.material["d"] : transforms.opacity;
+    material.opacityIndex = texturePacker.addColor([opacity, opacity, opacity, opacity]);
+  }
+  material.alphaCutoff = group.material["alpha_cutoff"] || transforms.alphaCutoff || 0;
+  material.diffuseIndex = diffuseIndex;
+  material.roughnessIndex = roughnessIndex;
+  material.normalIndex = normalIndex;
+  material.specularIndex = specularIndex;
+  // Exporters write an MTL Ni of 1 for materials that don't refract
+  let ni = group.material["ni"] > 1 ? group.material["ni"] : null;
+  material.ior = group.material["ior"] || ni || transforms.ior || 1.4;
+  material.emittance = Vec3.scale(emissionColor, strength);
+  material.principled = principledParameters.map(([mtlKey, propKey, fallback]) => {
+    if (typeof group.material[mtlKey] === 'number') {
+      return group.material[mtlKey];
+    } else if (typeof transforms[propKey] === 'number') {
+      return transforms[propKey];
+    }
+    return propKey === 'transmission' && glass ? 1 : fallback;
+  });
+  // Only the insides of transmissive props and of props that hold a medium are ever travelled through
+  let transmission = material.principled[principledParameters.findIndex((p) => { return p[1] === 'transmission' })];
+  material.absorption = [0, 0, 0];
+  material.scattering = [0, 0, 0];
+  material.anisotropy = 0;
+  if (transforms.medium) {
+    Object.assign(material, getMedium(transforms.medium));
+  } else if (transmission > 0 && group.material["tf"]) {
+    material.absorption = getAbsorption(group.material["tf"], group.material["absorption_distance"]);
+  } else if (transmission > 0) {
+    material.absorption = getAbsorption(transforms.absorptionColor, transforms.absorptionDistance);
+  }
+  return material;
+}
+
+function padBuffer(buffer, perElement, channels) {
+  let num_pixels = buffer.length / channels;
+  let root = Math.sqrt(num_pixels);
+  let width = Math.ceil(root / perElement) * perElement;
+  let height = Math.ceil(num_pixels / width);
+  let numToPad = channels * width * height - buffer.length;
+  console.log("Padding ", numToPad, " bytes.")
+  let padded = new Float32Array(channels * width * height).fill(-1);
+  padded.set(buffer);
+  return { width: width, height: height, data: padded };
+}
+
+function maskBVHBuffer(bvhBuffer) {
+  // Lazily cast all values to fixed point
+  // Reinterpret the int bits as floats, then "fix" the bounding box values
+  let masked = new Float32Array(new Int32Array(bvhBuffer).buffer);
+  for (let i = 0; i < bvhBuffer.length; i += 9) {
+    for (let j = 3; j < 9; j++) {
+      masked[i + j] = bvhBuffer[i + j];
+    }
+  }
+  return masked;
+}
+
+function packBuffer(buffer, perElement, channels) {
+  let padded = padBuffer(buffer, perElement, channels);
+  return { width: padded.width, height: padded.height, channels: channels, data: padded.data };
+}
+
+async function processEnvironment(scene, assets) {
+  // Gradients and the default black environment are a single column of 2048 texels, sampled evenly
+  if (!scene.environment || Array.isArray(scene.environment)) {
+    return [0, 0, 1, 2048];
+  }
+  let time = new Date().getTime();
+  console.log("Processing env radiance distribution for", scene.environment);
+  let radianceBins = ProcessEnvRadiance(await loadEnvironment(scene.environment, assets));
+  console.log("Processing env took", (new Date().getTime() - time) / 1000.0, "seconds for", radianceBins.length / 4, "bins");
+  return radianceBins;
+}
+
+// Props that would parse to the same geometry share one bottom level BVH
+function getMeshKey(prop) {
+  return JSON.stringify([prop.path, prop.normals || null, prop.skips || null]);
+}
+
+// Meshes are parsed and their BVHs built in parallel by scene workers where the host has them
+async function buildMeshes(meshes, assets) {
+  if (typeof Worker === 'undefined') {
+    let built = [];
+    for (let i = 0; i < meshes.length; i++) {
+      built.push(await buildProp(meshes[i], assets[meshes[i].path], null, leafSize));
+    }
+    return built;
+  }
+  let pool = new WorkerPool(new URL('./scene_worker.js', import.meta.url), WorkerPool.defaultSize(meshes.length));
+  try {
+    return await Promise.all(meshes.map((mesh) => {
+      return pool.run({ prop: mesh, data: assets[mesh.path], worldTransforms: null, leafSize: leafSize });
+    }));
+  } finally {
+    pool.terminate();
+  }
+}
+
+function transformBounds(matrix, bounds) {
+  let box = new BoundingBox();
+  for (let i = 0; i < 8; i++) {
+    box.addVertex(Mat4.transformPoint(matrix, [
+      i & 1 ? bounds.max[0] : bounds.min[0],
+      i & 2 ? bounds.max[1] : bounds.min[1],
+      i & 4 ? bounds.max[2] : bounds.min[2]
+    ]));
+  }
+  return box;
+}
+
+function getTriangle(positions, index, matrix) {
+  return [0, 1, 2].map((k) => {
+    return Mat4.transformPoint(matrix, positions.subarray(index * 9 + k * 3, index * 9 + k * 3 + 3));
+  });
+}
+
+function triangleArea(verts) {
+  return Vec3.magnitude(Vec3.cross(Vec3.sub(verts[1], verts[0]), Vec3.sub(verts[2], verts[0]))) * 0.5;
+}
+
+// A layer of the packed atlas at a uv, filtered and wrapped like the tracer's texArray
+function sampleAtlas(atlas, layer, u, v) {
+  let res = atlas.res;
+  let x = u * res - 0.5;
+  let y = v * res - 0.5;
+  let x0 = Math.floor(x);
+  let y0 = Math.floor(y);
+  let fx = x - x0;
+  let fy = y - y0;
+  let color = [0, 0, 0];
+  [[0, 0, (1 - fx) * (1 - fy)], [1, 0, fx * (1 - fy)], [0, 1, (1 - fx) * fy], [1, 1, fx * fy]].forEach((tap) => {
+    let tx = ((x0 + tap[0]) % res + res) % res;
+    let ty = ((y0 + tap[1]) % res + res) % res;
+    let offset = ((layer * res + ty) * res + tx) * 4;
+    for (let c = 0; c < 3; c++) {
+      color[c] += tap[2] * atlas.pixels[offset + c] / 255;
+    }
+  });
+  return color;
+}
+
+/**
+ * The share of its material's emittance a triangle gives off on average under the emission map, so mesh lights are
+ * picked by the power they really have. The map is read at the centers of n * n equal parts of the triangle, with n
+ * growing with the texels it covers, and is taken as fully lit when the atlas wasn't packed.
+ */
+function getEmissionWeight(atlas, texturePacker, material, uvs) {
+  let emittance = luma(material.emittance);
+  let map = texturePacker.imageSet[material.specularIndex];
+  if (Array.isArray(map)) {
+    return luma(Vec3.mult(material.emittance, map)) / emittance;
+  }
+  if (!atlas.pixels) {
+    return 1;
+  }
+  let du = [uvs[2] - uvs[0], uvs[4] - uvs[0]];
+  let dv = [uvs[3] - uvs[1], uvs[5] - uvs[1]];
+  let texels = Math.abs(du[0] * dv[1] - du[1] * dv[0]) * 0.5 * atlas.res * atlas.res;
+  let n = Math.min(Math.max(Math.ceil(Math.sqrt(texels)), 1), 16);
+  let sum = 0;
+  let addSample = (a, b) => {
+    let texel = sampleAtlas(atlas, material.specularIndex, uvs[0] + a * du[0] + b * du[1], uvs[1] + a * dv[0] + b * dv[1]);
+    sum += luma(Vec3.mult(material.emittance, texel));
+  };
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; i + j < n; j++) {
+      addSample((i + 1 / 3) / n, (j + 1 / 3) / n);
+      if (i + j < n - 1) {
+        addSample((i + 2 / 3) / n, (j + 2 / 3) / n);
+      }
+    }
+  }
+  return sum / (n * n) / emittance;
+}
+
+/**
+ * Does all of the CPU side scene preparation: mesh parsing, material and texture packing, the BVH build and
+ * buffer packing. The result holds only plain data and typed arrays so it can be written to a bundle.
+ * Geometry is stored once per unique mesh under its own BVH, and each prop is an instance of a mesh with a transform
+ * and its own materials, under a top level BVH.
+ */
+export async function compileScene(scene, assets, sceneText) {
+  let sceneCamera = null;
+  let lightRanges = [];
+  let defines = ['#define LEAF_SIZE ' + leafSize];
+  let radianceBins = await processEnvironment(scene, assets);
+  defines.push('#define ENV_BINS ' + radianceBins.length / 4);
+  let emissionStrength = getStrength(scene.emissionStrength);
+  // Scenes compile at frame 0, animated props are moved into place by animateScene
+  let props = mergeSceneProps(scene).map((prop) => { return animate(prop, 0) });
+  let texturePacker = new TexturePacker(scene.atlasRes || 2048, props.length);
+
+  let meshKeys = {};
+  let meshes = [];
+  let instances = props.map((prop) => {
+    let key = getMeshKey(prop);
+    if (meshKeys[key] === undefined) {
+      meshKeys[key] = meshes.length;
+      meshes.push({ path: prop.path, normals: prop.normals, skips: prop.skips });
+    }
+    return { prop: prop, mesh: meshKeys[key], matrix: getPropMatrix(prop, scene.worldTransforms) };
+  });
+  console.log(props.length, "props share", meshes.length, "meshes");
+
+  let time = new Date().getTime();
+  let built = await buildMeshes(meshes, assets);
+  console.log("Meshes parsed and BVHs built in", (new Date().getTime() - time) / 1000.0, "seconds");
+
+  for (let i = 0; i < meshes.length; i++) {
+    let parsed = built[i];
+    if (parsed.urls.length > 0) {
+      console.log("Downloading: \n", parsed.urls.join('\n'));
+      let newTextures = await Utility.loadAll(parsed.urls);
+      assets = Object.assign(assets, newTextures);
+    }
+    for (let key in parsed.images) {
+      assets[key] = await Utility.decodeImage(parsed.images[key].bytes, parsed.images[key].mimeType, key);
+    }
+  }
+
+  let materials = [];
+  let bounds = new BoundingBox();
+  instances.forEach((instance) => {
+    let prop = instance.prop;
+    let parsed = built[instance.mesh];
+    let basePath = prop.path.split('/').slice(0, -1).join('/');
+    instance.materialOffset = materials.length;
+    parsed.materials.forEach((groupMaterial) => {
+      materials.push(getMaterial(prop, { material: groupMaterial }, texturePacker, assets, basePath, emissionStrength));
+    });
+    if (parsed.triangleCount > 0) {
+      bounds.addBoundingBox(transformBounds(instance.matrix, parsed.bounds));
+    }
+    if (parsed.cameras.length > 0 && !animate(scene, 0).cameraPos && !sceneCamera) {
+      let camera = parsed.cameras[0];
+      sceneCamera = Object.assign({}, camera, {
+        position: Mat4.transformPoint(instance.matrix, camera.position),
+        direction: Vec3.normalize(Mat4.transformDirection(instance.matrix, camera.direction))
+      });
+      console.log("Using camera", sceneCamera.name, "from", prop.path);
+    }
+  });
+
+  console.log("Scene bounds:", bounds);
+  console.log("Packed " + texturePacker.imageSet.length + " textures")
+
+  let normalizeMatrix = Mat4.identity();
+  if (scene.normalize) {
+    let diff = Vec3.sub(bounds.max, bounds.min);
+    let longest = Math.max(Math.max(diff[0], diff[1]), diff[2]);
+    let centroid = bounds.centroid;
+    let scale = 2 * scene.normalize / longest;
+    console.log("Centering and scaling scene to size bounds:", scale);
+    normalizeMatrix = Mat4.fromTRS(Vec3.scale(centroid, -scale), null, Vec3.splat(scale));
+    instances.forEach((instance) => {
+      instance.matrix = Mat4.multiply(normalizeMatrix, instance.matrix);
+    });
+    if (sceneCamera) {
+      sceneCamera.position = Mat4.transformPoint(normalizeMatrix, sceneCamera.position);
+    }
+  }
+
+  // The top level BVH goes first and is written by layoutInstances. Its leaves hold at least one instance each, so it
+  // never needs more than 2n - 1 nodes, and can be rebuilt in place when instances move
+  let instanceCount = instances.filter((instance) => { return built[instance.mesh].triangleCount > 0 }).length;
+  let bvhBuffer = new Array(Math.max(1, 2 * instanceCount - 1) * 9).fill(0);
+  // Leaves test LEAF_SIZE triangles from their first, so each mesh is followed by degenerate triangles that keep
+  // its last leaf from reaching into the next mesh, which would be drawn with the wrong instance's transform
+  let meshPadding = leafSize - 1;
+  let triangleCount = built.reduce((sum, parsed) => { return sum + parsed.triangleCount + meshPadding }, 0);
+  let trianglesBuffer = new Float32Array(triangleCount * 9);
+  let normalBuffer = new Float32Array(triangleCount * 27);
+  // The third channel of a triangle's first uv holds its material group
+  let uvBuffer = new Float32Array(triangleCount * 9);
+  let meshLayout = [];
+  let meshOffsets = [];
+  let offset = 0;
+  built.forEach((parsed) => {
+    trianglesBuffer.set(parsed.positions, offset * 9);
+    normalBuffer.set(parsed.normals, offset * 27);
+    for (let j = 0; j < parsed.triangleCount; j++) {
+      for (let k = 0; k < 3; k++) {
+        uvBuffer.set(parsed.uvs.subarray(j * 6 + k * 2, j * 6 + k * 2 + 2), (offset + j) * 9 + k * 3);
+      }
+      uvBuffer[(offset + j) * 9 + 2] = parsed.groupIndices[j];
+    }
+    meshLayout.push({
+      root: appendSubtree(bvhBuffer, parsed.nodes, offset),
+      bounds: parsed.triangleCount > 0 ? { min: Array.from(parsed.bounds.min), max: Array.from(parsed.bounds.max) } : null
+    });
+    meshOffsets.push(offset);
+    offset += parsed.triangleCount + meshPadding;
+  });
+
+  // Lights are every triangle of every instance that gives off some light, grouped by instance and material. The
+  // tracer looks up the lights it hits by instance, group and triangle, so they have to stay in that order.
+  let atlas = packAtlas(texturePacker);
+  let lights = [];
+  instances.forEach((instance, i) => {
+    let parsed = built[instance.mesh];
+    let groupLights = parsed.materials.map(() => { return [] });
+    for (let j = 0; j < parsed.triangleCount; j++) {
+      let group = parsed.groupIndices[j];
+      let material = materials[instance.materialOffset + group];
+      if (luma(material.emittance) > 0) {
+        let weight = getEmissionWeight(atlas, texturePacker, material, parsed.uvs.subarray(j * 6, j * 6 + 6));
+        if (weight > 0) {
+          groupLights[group].push([meshOffsets[instance.mesh] + j, i, weight, group]);
+        }
+      }
+    }
+    lights.push(...groupLights.filter((group) => { return group.length > 0 }));
+  });
+  console.log("Scene lights:", lights.length, "groups");
+
+  // Media are thinned out as much as normalizing stretches the distances through them
+  let mediumScale = 1 / getNormalizeScale(normalizeMatrix);
+  let materialBuffer = new Float32Array(materials.length * materialSize);
+  materials.forEach((material, i) => {
+    materialBuffer.set([
+      material.diffuseIndex, material.specularIndex, material.normalIndex,
+      material.roughnessIndex, material.opacityIndex, material.alphaCutoff,
+      ...material.emittance,
+      material.ior, material.anisotropy, 0,
+      ...material.principled,
+      ...Vec3.scale(material.absorption, mediumScale),
+      ...Vec3.scale(material.scattering, mediumScale)
+    ], i * materialSize);
+  });
+
+  let lightBuffer = [];
+  for (let i = 0; i < lights.length; i++) {
+    lightRanges.push(lightBuffer.length / 15);
+    for (let j = 0; j < lights[i].length; j++) {
+      let light = lights[i][j];
+      lightBuffer.push(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, light[0], 0, light[1], light[2], light[3]);
+    }
+    lightRanges.push(lightBuffer.length / 15 - 1);
+  }
+  if (lights.length > 0) {
+    defines.push('#define NUM_LIGHT_RANGES ' + lightRanges.length / 2);
+  } else {
+    defines.push('#define NUM_LIGHT_RANGES 1');
+  }
+  defines.push('#define NUM_LIGHTS ' + lightBuffer.length / 15);
+  // Tracking media costs every path a little, so it's only compiled in for scenes that have some
+  let hasMedia = materials.some((material) => { return Math.max(...material.absorption, ...material.scattering) > 0 });
+  if (scene.medium || hasMedia) {
+    defines.push('#define USE_MEDIUM');
+  }
+  if (scene.medium && scene.medium.density) {
+    defines.push('#define USE_DENSITY_GRID');
+  }
+  if (materials.some((material) => { return material.opacityIndex >= 0 })) {
+    defines.push('#define USE_ALPHA');
+  }
+
+  let compiled = {
+    sceneHash: sceneText === undefined ? null : Utility.hashString(sceneText),
+    defines: defines,
+    buffers: {
+      bvh: packBuffer(maskBVHBuffer(bvhBuffer), 3, 3),
+      materials: packBuffer(materialBuffer, materialSize / 3, 3),
+      triangles: packBuffer(trianglesBuffer, 3, 3),
+      normals: packBuffer(normalBuffer, 9, 3),
+      lights: packBuffer(lightBuffer, 5, 3),
+      uvs: packBuffer(uvBuffer, 3, 3),
+      instances: packBuffer(new Float32Array(instances.length * 27), 9, 3)
+    },
+    lightRanges: lightRanges,
+    lightCount: lightBuffer.length / 15,
+    radianceBins: radianceBins,
+    camera: sceneCamera,
+    meshes: meshLayout,
+    instances: instances.map((instance) => {
+      return {
+        mesh: instance.mesh,
+        materialOffset: instance.materialOffset,
+        matrix: instance.matrix,
+        animated: isAnimated(instance.prop)
+      };
+    }),
+    normalizeMatrix: normalizeMatrix,
+    atlas: atlas
+  };
+  layoutInstances(compiled);
+  return compiled;
+}
+
+// Writes nodes over the start of a masked BVH buffer
+function writeNodes(data, nodes) {
+  let ints = new Int32Array(data.buffer, data.byteOffset, data.length);
+  for (let i = 0; i < nodes.length; i += 9) {
+    for (let j = 0; j < 3; j++) {
+      ints[i + j] = nodes[i + j];
+    }
+    for (let j = 3; j < 9; j++) {
+      data[i + j] = nodes[i + j];
+    }
+  }
+}
+
+/**
+ * Writes everything that depends on instance transforms into the compiled buffers: the top level BVH, the instance
+ * records, the world space light triangles with their cdf, and the light pdfs of emissive materials.
+ * Mesh BVHs are untouched, so moving instances costs only this.
+ */
+function layoutInstances(compiled) {
+  let buffers = compiled.buffers;
+  let materialData = buffers.materials.data;
+  let lightData = buffers.lights.data;
+  writeNodes(buffers.bvh.data, buildTopLevel(compiled.instances.map((instance) => {
+    let bounds = compiled.meshes[instance.mesh].bounds;
+    return bounds ? transformBounds(instance.matrix, bounds) : null;
+  })));
+
+  // Each instance is its object to world matrix, the inverse, then its mesh's root node and first material
+  compiled.instances.forEach((instance, i) => {
+    let inverse = Mat4.invert(instance.matrix);
+    for (let col = 0; col < 4; col++) {
+      buffers.instances.data.set(instance.matrix.slice(col * 4, col * 4 + 3), i * 27 + col * 3);
+      buffers.instances.data.set(inverse.slice(col * 4, col * 4 + 3), i * 27 + 12 + col * 3);
+    }
+    buffers.instances.data.set([compiled.meshes[instance.mesh].root, instance.materialOffset, 0], i * 27 + 24);
+  });
+
+  // A light's emittance, scaled by how much of it the emission map lets out over the triangle
+  function getEmittance(light) {
+    let index = lightData[light * 15 + 10];
+    let instance = compiled.instances[lightData[light * 15 + 12]];
+    let material = instance.materialOffset + buffers.uvs.data[index * 9 + 2];
+    return luma(materialData.subarray(material * materialSize + 6, material * materialSize + 9)) * lightData[light * 15 + 13];
+  }
+
+  // Lights are picked proportionally to area * power, which leaves power / total power as the area pdf
+  let powers = [];
+  let lightPower = 0;
+  for (let i = 0; i < compiled.lightCount; i++) {
+    let instance = compiled.instances[lightData[i * 15 + 12]];
+    let verts = getTriangle(buffers.triangles.data, lightData[i * 15 + 10], instance.matrix);
+    lightData.set([...verts[0], ...verts[1], ...verts[2]], i * 15);
+    powers.push(triangleArea(verts) * getEmittance(i));
+    lightPower += powers[i];
+  }
+  let cdf = 0;
+  for (let i = 0; i < compiled.lightCount; i++) {
+    cdf += lightPower > 0 ? powers[i] / lightPower : 0;
+    lightData[i * 15 + 9] = cdf;
+    lightData[i * 15 + 11] = lightPower > 0 ? getEmittance(i) / lightPower : 0;
+  }
+  for (let i = 0; i < materialData.length / materialSize; i++) {
+    let emittance = luma(materialData.subarray(i * materialSize + 6, i * materialSize + 9));
+    if (emittance > 0) {
+      materialData[i * materialSize + 11] = lightPower > 0 ? emittance / lightPower : 0;
+    }
+  }
+}
+
+/**
+ * Moves the animated props of a compiled scene to their place at frame. Returns false when the scene has no animated
+ * props, in which case the buffers are unchanged and nothing needs to be uploaded again.
+ */
+export function animateScene(compiled, scene, frame) {
+  let props = mergeSceneProps(scene);
+  let animated = false;
+  compiled.instances.forEach((instance, i) => {
+    if (instance.animated) {
+      let matrix = getPropMatrix(animate(props[i], frame), scene.worldTransforms);
+      instance.matrix = Mat4.multiply(compiled.normalizeMatrix, matrix);
+      animated = true;
+    }
+  });
+  if (animated) {
+    layoutInstances(compiled);
+  }
+  return animated;
+}
+
+// Pixels are left out when some texture can't be decoded here, the browser packs the atlas from the descriptors instead
+function packAtlas(texturePacker) {
+  let res = texturePacker.setAndGetResolution();
+  return {
+    res: res,
+    layers: texturePacker.imageSet.length,
+    textures: texturePacker.getDescriptors(),
+    pixels: texturePacker.canPack() ? texturePacker.getPixels() : null
+  };
+}
@@ -0,0 +1,14 @@
+import {
+  buildProp,
+  getTransferables
+} from './prop_builder.js'
+
+self.onmessage = async function (e) {
+  let job = e.data;
+  try {
+    let built = await buildProp(job.prop, job.data, job.worldTransforms, job.leafSize);
+    self.postMessage({ id: job.id, result: built }, getTransferables(built));
+  } catch (err) {
+    self.postMessage({ id: job.id, error: err.message });
+  }
+};
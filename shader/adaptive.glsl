@@ -0,0 +1,14 @@
+// Adaptive sampling: the image's alpha accumulates the squared luminance of the samples, which together with the
+// accumulated color gives each pixel's variance
+
+float sampleLuminance(vec3 color) {
+  return dot(color, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Standard error of a pixel's mean luminance relative to that mean. Dark pixels are measured against a floor,
+// or noise too faint to see would keep them sampled forever.
+float relativeError(vec4 pixel, float samples) {
+  float mean = sampleLuminance(pixel.rgb);
+  float variance = max(pixel.a - mean * mean, 0.0) / max(samples - 1.0, 1.0);
+  return sqrt(variance) / (mean + 0.01);
+}
@@ -0,0 +1,91 @@
+#version 300 es
+// One pass of an edge-avoiding a-trous wavelet filter, guided by the first hit's albedo, normal and depth.
+// The first pass divides the albedo out, so lighting is blurred without blurring textures, and the last puts it back.
+
+precision highp float;
+precision highp sampler2DArray;
+
+uniform sampler2D colorTex;
+uniform sampler2DArray aovTex;
+uniform int albedoLayer;
+uniform int normalLayer;
+uniform int depthLayer;
+uniform int stepSize;
+uniform bool demodulate;
+uniform bool remodulate;
+uniform vec2 bounds;
+uniform float colorSigma;
+uniform float normalSigma;
+uniform float depthSigma;
+uniform float albedoSigma;
+
+out vec4 fragColor;
+
+const vec3 lumaCoefs = vec3(0.2126, 0.7152, 0.0722);
+// B3 spline weights, from the center out
+const float kernel[3] = float[3](0.375, 0.25, 0.0625);
+
+struct Guide {
+  vec3 albedo;
+  vec3 normal;
+  float depth;
+  float coverage;
+};
+
+// AOVs are premultiplied by their coverage
+Guide createGuide(ivec2 c) {
+  vec4 albedo = texelFetch(aovTex, ivec3(c, albedoLayer), 0);
+  vec4 normal = texelFetch(aovTex, ivec3(c, normalLayer), 0);
+  float depth = texelFetch(aovTex, ivec3(c, depthLayer), 0).r;
+  float inverse = albedo.a > 0.0 ? 1.0 / albedo.a : 0.0;
+  return Guide(albedo.rgb * inverse, normal.rgb * inverse, depth * inverse, albedo.a);
+}
+
+vec3 albedoFactor(Guide guide) {
+  return guide.coverage > 0.0 ? max(guide.albedo, vec3(0.01)) : vec3(1);
+}
+
+vec3 loadColor(ivec2 c, Guide guide) {
+  vec3 color = texelFetch(colorTex, c, 0).rgb;
+  return demodulate ? color / albedoFactor(guide) : color;
+}
+
+// Colors are compared with their brightness compressed, or any highlight would stop the filter
+vec3 compress(vec3 color) {
+  return color / (1.0 + dot(color, lumaCoefs));
+}
+
+float gaussian(float distanceSquared, float sigma) {
+  return exp(-distanceSquared / max(sigma * sigma, 1e-8));
+}
+
+void main(void) {
+  ivec2 center = ivec2(gl_FragCoord.xy);
+  Guide centerGuide = createGuide(center);
+  vec3 centerColor = loadColor(center, centerGuide);
+  vec3 sum = vec3(0);
+  float weightSum = 0.0;
+  for (int y = -2; y <= 2; y++) {
+    for (int x = -2; x <= 2; x++) {
+      ivec2 c = center + ivec2(x, y) * stepSize;
+      if (any(lessThan(c, ivec2(0))) || any(greaterThanEqual(vec2(c), bounds))) {
+        continue;
+      }
+      Guide guide = createGuide(c);
+      vec3 color = loadColor(c, guide);
+      vec3 colorDelta = compress(color) - compress(centerColor);
+      vec3 normalDelta = guide.normal - centerGuide.normal;
+      vec3 albedoDelta = guide.albedo - centerGuide.albedo;
+      float depthDelta = (guide.depth - centerGuide.depth) / max(centerGuide.depth, 1e-4);
+      float weight = kernel[abs(x)] * kernel[abs(y)] *
+        gaussian(dot(colorDelta, colorDelta), colorSigma) *
+        gaussian(dot(normalDelta, normalDelta), normalSigma) *
+        gaussian(dot(albedoDelta, albedoDelta), albedoSigma) *
+        gaussian(depthDelta * depthDelta + (guide.coverage - centerGuide.coverage) * (guide.coverage - centerGuide.coverage), depthSigma);
+      sum += color * weight;
+      weightSum += weight;
+    }
+  }
+  vec3 filtered = sum / weightSum;
+  fragColor = vec4(remodulate ? filtered * albedoFactor(centerGuide) : filtered, 1);
+}
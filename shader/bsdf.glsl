@@ -0,0 +1,205 @@
+// A layered principled BSDF, after Disney's and OpenPBR: a diffuse base with a subsurface approximation and sheen,
+// a dielectric or metallic GGX specular lobe that can be anisotropic, rough glass that reflects or refracts at each
+// microfacet (Walter et al.), and a clearcoat on top. Lobes are picked by how much they reflect towards the viewer,
+// and every sample's pdf is that of the whole mixture, so bsdf samples and light samples can be combined with MIS.
+// Needs rnd() and the constants of tracer.fs.
+
+const int LOBE_DIFFUSE = 0;
+const int LOBE_SPECULAR = 1;
+const int LOBE_TRANSMISSION = 2;
+const float CLEARCOAT_IOR = 1.5;
+
+// The frame's normal faces the side the ray came from, and eta is the index of refraction on the other side over
+// the one on this side
+struct Bsdf {
+  vec3 tangent;
+  vec3 bitangent;
+  vec3 normal;
+  vec3 baseColor;
+  float metallic;
+  float roughness;
+  float specularTint;
+  float anisotropic;
+  float sheen;
+  float sheenTint;
+  float clearcoat;
+  float clearcoatRoughness;
+  float subsurface;
+  float transmission;
+  float eta;
+};
+
+vec3 toLocal(Bsdf bsdf, vec3 v) {
+  return vec3(dot(v, bsdf.tangent), dot(v, bsdf.bitangent), dot(v, bsdf.normal));
+}
+
+vec3 fromLocal(Bsdf bsdf, vec3 v) {
+  return bsdf.tangent * v.x + bsdf.bitangent * v.y + bsdf.normal * v.z;
+}
+
+float schlickWeight(float cosTheta) {
+  float m = clamp(1.0 - cosTheta, 0.0, 1.0);
+  float m2 = m * m;
+  return m2 * m2 * m;
+}
+
+// Unpolarized Fresnel reflectance at an interface, 1 past the critical angle
+float fresnelDielectric(float cosI, float eta) {
+  float sin2T = (1.0 - cosI * cosI) / (eta * eta);
+  if (sin2T >= 1.0) {
+    return 1.0;
+  }
+  float cosT = sqrt(1.0 - sin2T);
+  float rs = (cosI - eta * cosT) / (cosI + eta * cosT);
+  float rp = (eta * cosI - cosT) / (eta * cosI + cosT);
+  return 0.5 * (rs * rs + rp * rp);
+}
+
+vec3 tint(vec3 color) {
+  float luminance = dot(vec3(0.2126, 0.7152, 0.0722), color);
+  return luminance > 0.0 ? color / luminance : vec3(1);
+}
+
+// Anisotropic roughness stretches the distribution along the tangent, keeping its area
+vec2 specularAlpha(Bsdf bsdf) {
+  float aspect = sqrt(1.0 - 0.9 * bsdf.anisotropic);
+  return max(vec2(bsdf.roughness / aspect, bsdf.roughness * aspect), vec2(0.001));
+}
+
+vec2 clearcoatAlpha(Bsdf bsdf) {
+  return vec2(max(bsdf.clearcoatRoughness * bsdf.clearcoatRoughness, 0.001));
+}
+
+float ggxD(vec3 m, vec2 alpha) {
+  vec3 stretched = vec3(m.x / alpha.x, m.y / alpha.y, m.z);
+  float d = dot(stretched, stretched);
+  return 1.0 / (M_PI * alpha.x * alpha.y * d * d);
+}
+
+float ggxLambda(vec3 w, vec2 alpha) {
+  float tan2 = (alpha.x * alpha.x * w.x * w.x + alpha.y * alpha.y * w.y * w.y) / max(w.z * w.z, EPSILON);
+  return 0.5 * (sqrt(1.0 + tan2) - 1.0);
+}
+
+float ggxG(vec3 wo, vec3 wi, vec2 alpha) {
+  return 1.0 / (1.0 + ggxLambda(wo, alpha) + ggxLambda(wi, alpha));
+}
+
+// The pdf of sampleGgxVisible picking m
+float ggxVisiblePdf(vec3 wo, vec3 m, vec2 alpha) {
+  return ggxD(m, alpha) * max(dot(wo, m), 0.0) / ((1.0 + ggxLambda(wo, alpha)) * wo.z);
+}
+
+// Microfacet normals in proportion to how much of them wo sees, from Heitz's "Sampling the GGX Distribution of Visible Normals"
+vec3 sampleGgxVisible(vec3 wo, vec2 alpha) {
+  vec3 v = normalize(vec3(alpha * wo.xy, wo.z));
+  float lengthSquared = dot(v.xy, v.xy);
+  vec3 t1 = lengthSquared > 0.0 ? vec3(-v.y, v.x, 0) * inversesqrt(lengthSquared) : vec3(1, 0, 0);
+  vec3 t2 = cross(v, t1);
+  float r = sqrt(rnd());
+  float phi = M_TAU * rnd();
+  float p1 = r * cos(phi);
+  float s = 0.5 * (1.0 + v.z);
+  float p2 = mix(sqrt(max(1.0 - p1 * p1, 0.0)), r * sin(phi), s);
+  vec3 m = p1 * t1 + p2 * t2 + sqrt(max(1.0 - p1 * p1 - p2 * p2, 0.0)) * v;
+  return normalize(vec3(alpha * m.xy, max(m.z, 0.0)));
+}
+
+// The chance of picking the diffuse, specular, glass and clearcoat lobes when looking from wo. The glass lobe
+// reflects or refracts by the Fresnel term of the microfacet it picks.
+vec4 lobeChances(Bsdf bsdf, vec3 wo) {
+  float fresnel = fresnelDielectric(wo.z, bsdf.eta);
+  vec4 chances = vec4(
+    (1.0 - bsdf.metallic) * (1.0 - fresnel) * (1.0 - bsdf.transmission),
+    mix(max(fresnel, 0.1) * (1.0 - bsdf.transmission), 1.0, bsdf.metallic),
+    (1.0 - bsdf.metallic) * bsdf.transmission,
+    0.25 * bsdf.clearcoat
+  );
+  return chances / (chances.x + chances.y + chances.z + chances.w);
+}
+
+// The bsdf for light arriving from wi and leaving towards wo, without the cosine, and the pdf of sampleBsdf picking wi
+vec3 evalBsdf(Bsdf bsdf, vec3 woWorld, vec3 wiWorld, out float pdf) {
+  vec3 wo = toLocal(bsdf, woWorld);
+  vec3 wi = toLocal(bsdf, wiWorld);
+  wo.z = max(wo.z, 1e-4);
+  vec4 chances = lobeChances(bsdf, wo);
+  vec2 alpha = specularAlpha(bsdf);
+  // The clearcoat takes its share of the light before the layers under it see any
+  float coated = 1.0 - bsdf.clearcoat * fresnelDielectric(wo.z, CLEARCOAT_IOR);
+  vec3 f = vec3(0);
+  pdf = 0.0;
+  if (wi.z > 0.0) {
+    vec3 m = normalize(wo + wi);
+    float cosD = dot(wi, m);
+    float perceptual = sqrt(bsdf.roughness);
+    float fl = schlickWeight(wi.z);
+    float fv = schlickWeight(wo.z);
+    float retro = 2.0 * perceptual * cosD * cosD;
+    float diffuse = (1.0 + (retro - 0.5) * fl) * (1.0 + (retro - 0.5) * fv);
+    // Hanrahan-Krueger, flattening the falloff at grazing angles like light scattered under the surface
+    float flattened = (1.0 + (retro * 0.5 - 1.0) * fl) * (1.0 + (retro * 0.5 - 1.0) * fv);
+    float subsurface = 1.25 * (flattened * (1.0 / (wi.z + wo.z) - 0.5) + 0.5);
+    vec3 sheen = bsdf.sheen * mix(vec3(1), tint(bsdf.baseColor), bsdf.sheenTint) * schlickWeight(cosD);
+    f += (1.0 - bsdf.metallic) * ((1.0 - bsdf.transmission) * bsdf.baseColor * INV_PI *
+      mix(diffuse, subsurface, bsdf.subsurface) + sheen) * coated;
+    pdf += chances.x * wi.z * INV_PI;
+
+    vec3 specularColor = mix(vec3(1), tint(bsdf.baseColor), bsdf.specularTint) * fresnelDielectric(cosD, bsdf.eta);
+    vec3 fresnel = mix(specularColor, mix(bsdf.baseColor, vec3(1), schlickWeight(cosD)), bsdf.metallic);
+    f += fresnel * ggxD(m, alpha) * ggxG(wo, wi, alpha) / (4.0 * wo.z * wi.z) * coated;
+    pdf += (chances.y + chances.z * fresnelDielectric(cosD, bsdf.eta)) * ggxVisiblePdf(wo, m, alpha) / (4.0 * cosD);
+
+    if (bsdf.clearcoat > 0.0) {
+      vec2 coatAlpha = clearcoatAlpha(bsdf);
+      f += bsdf.clearcoat * fresnelDielectric(cosD, CLEARCOAT_IOR) * ggxD(m, coatAlpha) * ggxG(wo, wi, coatAlpha) / (4.0 * wo.z * wi.z);
+      pdf += chances.w * ggxVisiblePdf(wo, m, coatAlpha) / (4.0 * cosD);
+    }
+  } else if (wi.z < 0.0 && chances.z > 0.0) {
+    vec3 m = normalize(wo + wi * bsdf.eta);
+    m = m.z < 0.0 ? -m : m;
+    float cosO = dot(wo, m);
+    float cosI = dot(wi, m);
+    if (cosO > 0.0 && cosI < 0.0) {
+      float denom = cosI + cosO / bsdf.eta;
+      float jacobian = abs(cosI) / (denom * denom);
+      // Radiance is compressed into the smaller solid angle of the denser side
+      float transmitted = (1.0 - fresnelDielectric(cosO, bsdf.eta)) * ggxD(m, alpha) * ggxG(wo, wi, alpha) *
+        cosO * jacobian / (-wi.z * wo.z * bsdf.eta * bsdf.eta);
+      f += vec3((1.0 - bsdf.metallic) * bsdf.transmission * transmitted * coated);
+      pdf += chances.z * (1.0 - fresnelDielectric(cosO, bsdf.eta)) * ggxVisiblePdf(wo, m, alpha) * jacobian;
+    }
+  }
+  return f;
+}
+
+// Picks a direction for the light to arrive from, and which kind of bounce that is. pdf is 0 when there is none.
+vec3 sampleBsdf(Bsdf bsdf, vec3 woWorld, out vec3 wiWorld, out float pdf, out int lobe) {
+  vec3 wo = toLocal(bsdf, woWorld);
+  wo.z = max(wo.z, 1e-4);
+  vec4 chances = lobeChances(bsdf, wo);
+  float u = rnd();
+  vec3 wi;
+  if (u < chances.x) {
+    lobe = LOBE_DIFFUSE;
+    wi = cosineSampleHemisphere(rnd(), rnd());
+  } else if (u < chances.x + chances.y) {
+    lobe = LOBE_SPECULAR;
+    wi = reflect(-wo, sampleGgxVisible(wo, specularAlpha(bsdf)));
+  } else if (u < chances.x + chances.y + chances.z) {
+    // Past the critical angle the Fresnel term is 1, so light inside is reflected back rather than lost
+    vec3 m = sampleGgxVisible(wo, specularAlpha(bsdf));
+    bool reflected = rnd() < fresnelDielectric(dot(wo, m), bsdf.eta);
+    lobe = reflected ? LOBE_SPECULAR : LOBE_TRANSMISSION;
+    wi = reflected ? reflect(-wo, m) : refract(-wo, m, 1.0 / bsdf.eta);
+  } else {
+    lobe = LOBE_SPECULAR;
+    wi = reflect(-wo, sampleGgxVisible(wo, clearcoatAlpha(bsdf)));
+  }
+  wiWorld = fromLocal(bsdf, wi);
+  if (lobe == LOBE_TRANSMISSION ? wi.z >= 0.0 : wi.z <= 0.0) {
+    pdf = 0.0;
+    return vec3(0);
+  }
+  return evalBsdf(bsdf, woWorld, wiWorld, pdf);
+}
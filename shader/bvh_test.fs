@@ -6,7 +6,6 @@ precision highp float;
 precision highp int;
 precision highp sampler2DArray;
 
-const int NUM_BOUNCES = 3;
 const float MAX_T = 100000.0;
 const float EPSILON = 0.000001;
 const float M_PI = 3.14159265;
@@ -35,6 +34,7 @@ uniform sampler2D uvTex;
 uniform sampler2D envTex;
 uniform sampler2D cameraPosTex;
 uniform sampler2D cameraDirTex;
+uniform sampler2D instTex;
 uniform sampler2DArray texArray;
 
 in vec2 coords;
@@ -120,6 +120,18 @@ BoundingBox createBoundingBox(int index) {
   );
 }
 
+int instanceRay(int index, in Ray ray, out Ray objectRay){
+  ivec2 base = indexToCoords(instTex, index, 9);
+  mat4x3 inverse = mat4x3(
+    texelFetch(instTex, base + ivec2(4,0), 0).rgb,
+    texelFetch(instTex, base + ivec2(5,0), 0).rgb,
+    texelFetch(instTex, base + ivec2(6,0), 0).rgb,
+    texelFetch(instTex, base + ivec2(7,0), 0).rgb
+  );
+  objectRay = Ray(inverse * vec4(ray.origin, 1.0), inverse * vec4(ray.dir, 0.0));
+  return int(texelFetch(instTex, base + ivec2(8,0), 0).x + 0.5);
+}
+
 Node createNode(int index){
   ivec2 nodeCoords = indexToCoords(bvhTex, index, 3);
   vec3 first = texelFetch(bvhTex, nodeCoords, 0).rgb;
@@ -170,6 +182,53 @@ void processLeaf(Node leaf, Ray ray, inout Hit result){
   }
 }
 
+void intersectMesh(Ray ray, int root, inout Hit result, inout int count){
+	int stack[64];
+	int ptr = 0;
+	stack[ptr++] = -1;
+	int idx = root;
+	float leftHit = 0.0;
+	float rightHit = 0.0;
+  Node current;
+	while (idx > -1)
+	{
+    count++;
+    current = createNode(idx);
+		int leftIndex = current.left;
+		int rightIndex = current.right;
+    leftHit = rayBoxIntersect(createBoundingBox(leftIndex), ray);
+    rightHit = rayBoxIntersect(createBoundingBox(rightIndex), ray);
+
+    if (current.triangles > -1) {
+      processLeaf(current, ray, result);
+    } else {
+      if (leftHit < result.t && rightHit < result.t) {
+        int deferred = -1;
+        if (leftHit > rightHit) {
+          idx = rightIndex;
+          deferred = leftIndex;
+        }
+        else {
+          idx = leftIndex;
+          deferred = rightIndex;
+        }
+
+        stack[ptr++] = deferred;
+        continue;
+      }
+      else if (leftHit < result.t) {
+        idx = leftIndex;
+        continue;
+      }
+      else if (rightHit < result.t) {
+        idx = rightIndex;
+        continue;
+      }
+    }
+		idx = stack[--ptr];
+	}
+}
+
 Hit intersectScene(Ray ray, inout int count){
 	int stack[64];
 	int ptr = 0;
@@ -189,7 +248,9 @@ Hit intersectScene(Ray ray, inout int count){
     rightHit = rayBoxIntersect(createBoundingBox(rightIndex), ray);
 
     if (current.triangles > -1) {
-      processLeaf(current, ray, result);
+      Ray objectRay;
+      int root = instanceRay(current.triangles, ray, objectRay);
+      intersectMesh(objectRay, root, result, count);
     } else {
       if (leftHit < result.t && rightHit < result.t) {
         int deferred = -1;
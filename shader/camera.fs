@@ -1,26 +1,28 @@
 #version 300 es
 precision highp float;
+precision highp int;
 
 uniform float randBase;
-uniform float fovScale;
+uniform uint tick;
+uniform uint sampleSeed;
+uniform vec2 fovScale; // x: horizontal y: vertical
 uniform vec2 resolution;
 uniform vec2 lensFeatures; // x: focal depth y: aperture size
+uniform vec4 aperture; // x: blades y: blade rotation z: anamorphic squeeze w: cat's eye
 uniform vec3 P;
 uniform vec3 I;
 
 const float M_PI = 3.14159265;
-
-float seed;
+const float M_TAU = M_PI * 2.0;
 
 in vec2 uv;
 
 out vec4 fragColor[2];
 
-float rnd() { return fract(sin(seed += 0.211324865405187)*43758.5453123); }
+#include "sampler.glsl"
 
-vec3 getScreen(vec3 basisX, vec3 basisY){
-  vec2 inCam = uv * vec2(resolution.x / resolution.y, 1);
-  return inCam.x * basisX * fovScale + inCam.y * basisY * fovScale + I + P;
+vec3 getScreen(vec2 inCam, vec3 basisX, vec3 basisY){
+  return inCam.x * basisX * fovScale.x + inCam.y * basisY * fovScale.y + I + P;
 }
 
 vec3 getAA(vec3 basisX, vec3 basisY){
@@ -29,18 +31,47 @@ vec3 getAA(vec3 basisX, vec3 basisY){
   return r * (basisX * cos(theta) / resolution.x + basisY * sin(theta) / resolution.y);
 }
 
-vec3 getDOF(vec3 basisX, vec3 basisY){
-  float theta = rnd() * M_PI * 2.0;
-  return (cos(theta) * basisX + sin(theta) * basisY) * lensFeatures.y * sqrt(rnd());
+// A point on the unit aperture: a disc, or a polygon with a corner per blade, squeezed across by an anamorphic lens
+vec2 sampleAperture(){
+  float u = rnd();
+  float r = sqrt(rnd());
+  vec2 point;
+  if (aperture.x < 3.0) {
+    float theta = u * M_TAU;
+    point = vec2(cos(theta), sin(theta)) * r;
+  } else {
+    // The triangle between the center and one blade's edge, and a point uniformly on it
+    float blade = floor(u * aperture.x);
+    float along = u * aperture.x - blade;
+    float theta = aperture.y + blade * M_TAU / aperture.x;
+    vec2 corner = vec2(cos(theta), sin(theta));
+    vec2 next = vec2(cos(theta + M_TAU / aperture.x), sin(theta + M_TAU / aperture.x));
+    point = mix(corner, next, along) * r;
+  }
+  return point / vec2(aperture.z, 1);
+}
+
+// Off axis the lens barrel hides part of the aperture, a circle moved towards the image's corners, which turns
+// bokeh into cat's eyes and darkens the corners
+float getVignetting(vec2 point, vec2 inCam){
+  vec2 offset = aperture.w * inCam / length(vec2(resolution.x / resolution.y, 1));
+  return length(point * vec2(aperture.z, 1) + offset) > 1.0 ? 0.0 : 1.0;
 }
 
 void main(void) {
+#ifdef SAMPLER_SOBOL
+  initSampler(uvec2(gl_FragCoord.xy), sampleSeed, tick, 0u);
+#else
   seed = randBase + gl_FragCoord.x * resolution.y + gl_FragCoord.y;
+#endif
   vec3 basisX = normalize(cross(I, vec3(0,1,0)));
   vec3 basisY = normalize(cross(basisX, I));
-  vec3 screen = getScreen(basisX, basisY);
-  vec3 aa = getAA(basisX, basisY) * fovScale;
-  vec3 dof = getDOF(basisX, basisY);
-  fragColor[0] = vec4(P + dof, 1);
+  vec2 inCam = uv * vec2(resolution.x / resolution.y, 1);
+  vec3 screen = getScreen(inCam, basisX, basisY);
+  vec3 aa = getAA(basisX * fovScale.x, basisY * fovScale.y);
+  vec2 lens = sampleAperture();
+  vec3 dof = (lens.x * basisX + lens.y * basisY) * lensFeatures.y;
+  // The origin's w is the ray's weight, 0 where the lens is vignetted
+  fragColor[0] = vec4(P + dof, getVignetting(lens, inCam));
   fragColor[1] = vec4(normalize((screen + aa + dof * lensFeatures.x) - (P + dof)), 1);
 }
\ No newline at end of file
@@ -0,0 +1,19 @@
+#version 300 es
+// Passes a fragment for every pixel still above the error target, an occlusion query counts whether any did
+
+precision highp float;
+
+uniform sampler2D fbTex;
+uniform float samples;
+uniform float errorTarget;
+
+out vec4 fragColor;
+
+#include "adaptive.glsl"
+
+void main(void) {
+  if (relativeError(texelFetch(fbTex, ivec2(gl_FragCoord), 0), samples) < errorTarget) {
+    discard;
+  }
+  fragColor = vec4(0);
+}
@@ -4,18 +4,33 @@
 #define INV_PI 0.31830988618379067153776752674503
 
 precision highp float;
+precision highp sampler2DArray;
 uniform sampler2D fbTex;
+uniform sampler2DArray aovTex;
+uniform int aovLayer;
+uniform int aovDisplay;
 uniform float exposure;
 uniform float saturation;
 uniform float scale;
 uniform float maxSigma;
 uniform bool denoise;
+uniform float samples;
+uniform float errorTarget;
 
 out vec4 fragColor;
 
 const vec3 lumaCoefs = vec3(0.2126, 0.7152, 0.0722);
 const int KERNEL_SIZE = 5;
 
+// How an AOV is made viewable, matching aovDisplays in path_tracer.js
+const int DISPLAY_RADIANCE = 0;
+const int DISPLAY_COLOR = 1;
+const int DISPLAY_VECTOR = 2;
+const int DISPLAY_DEPTH = 3;
+const int DISPLAY_POSITION = 4;
+const int DISPLAY_ID = 5;
+const int DISPLAY_ERROR = 6;
+
 const mat3 ACESInputMat = mat3(
   0.59719, 0.35458, 0.04823,
   0.07600, 0.90834, 0.01566,
@@ -79,9 +94,48 @@ vec3 filterFireflies() {
   return middle;
 }
 
+#include "adaptive.glsl"
+
+// Black where the pixel is within the error target, then blue to red up to 16 times over it
+vec3 viewError() {
+  float error = relativeError(texelFetch(fbTex, ivec2(gl_FragCoord * scale), 0), samples) / errorTarget;
+  if (error <= 1.0) {
+    return vec3(0);
+  }
+  float t = clamp(log2(error) / 4.0, 0.0, 1.0);
+  return clamp(vec3(1.5) - abs(4.0 * t - vec3(3, 2, 1)), 0.0, 1.0);
+}
+
+vec3 hashColor(vec3 id) {
+  return fract(sin(vec3(dot(id, vec3(12.9898, 78.233, 37.719)), dot(id, vec3(39.346, 11.135, 83.155)), dot(id, vec3(73.156, 52.235, 9.151)))) * 43758.5453);
+}
+
+vec3 viewAov() {
+  vec4 aov = texelFetch(aovTex, ivec3(ivec2(gl_FragCoord * scale), aovLayer), 0);
+  if (aovDisplay == DISPLAY_VECTOR) {
+    return aov.rgb * 0.5 + 0.5;
+  } else if (aovDisplay == DISPLAY_DEPTH) {
+    return vec3(aov.a > 0.0 ? 1.0 / (1.0 + aov.r / aov.a) : 0.0);
+  } else if (aovDisplay == DISPLAY_POSITION) {
+    return fract(aov.rgb);
+  } else if (aovDisplay == DISPLAY_ID) {
+    return aov.a > 0.0 ? hashColor(aov.rgb) : vec3(0);
+  }
+  return aov.rgb;
+}
+
 void main(void) {
   vec3 texColor = vec3(0);
-  if(denoise) {
+  if (aovDisplay == DISPLAY_ERROR) {
+    fragColor = vec4(viewError(), 1);
+    return;
+  } else if (aovLayer >= 0 && aovDisplay != DISPLAY_RADIANCE) {
+    vec3 color = viewAov();
+    fragColor = vec4(aovDisplay == DISPLAY_COLOR ? pow(color, vec3(0.454545)) : color, 1);
+    return;
+  } else if (aovLayer >= 0) {
+    texColor = texelFetch(aovTex, ivec3(ivec2(gl_FragCoord * scale), aovLayer), 0).rgb * exposure;
+  } else if(denoise) {
     texColor = filterFireflies() * exposure;
   } else {
     texColor = texelFetch(fbTex, ivec2(gl_FragCoord * scale), 0).rgb * exposure;
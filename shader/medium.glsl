@@ -0,0 +1,214 @@
+// Participating media: the scene's, which fills the scene's bounds, and the ones inside props. Light going through
+// them is absorbed, and scattered by a Henyey-Greenstein phase function. The scene's medium can take its density from
+// a voxel grid, which is tracked with null collisions, and the rest are homogeneous and sampled in closed form.
+// A medium is named by the material of the prop that holds it, or by SCENE_MEDIUM.
+// Needs rnd(), the scene intersection and the materials of tracer.fs.
+
+const int SCENE_MEDIUM = -1;
+// Shadow rays go through at most this many boundaries of media, and are blocked by the next
+const int MAX_MEDIUM_BOUNDARIES = 4;
+const int MAX_NULL_COLLISIONS = 256;
+
+struct Medium {
+  vec3 absorption;
+  vec3 scattering;
+  float anisotropy;
+};
+
+// Where a ray scattered, or the end of its segment when it went through, and the light that got there over the
+// chance of getting there
+struct MediumEvent {
+  float t;
+  bool scattered;
+  vec3 weight;
+};
+
+float meanComponent(vec3 v) {
+  return (v.x + v.y + v.z) / 3.0;
+}
+
+float maxComponent(vec3 v) {
+  return max(v.x, max(v.y, v.z));
+}
+
+Medium createMedium(int medium) {
+  if (medium == SCENE_MEDIUM) {
+    return Medium(mediumAbsorption, mediumScattering, mediumAnisotropy);
+  }
+  Material mat = createMaterial(medium);
+  return Medium(mat.absorption, mat.scattering, mat.phaseAnisotropy);
+}
+
+// The surfaces of props that hold a medium but don't transmit light are only where the medium starts
+bool isMediumBoundary(Material mat) {
+#ifdef USE_MEDIUM
+  return mat.transmission <= 0.0 && maxComponent(mat.absorption + mat.scattering) > 0.0;
+#else
+  return false;
+#endif
+}
+
+// The part of a ray up to tMax that is in the medium. The scene's medium is bounded by its grid or the scene.
+vec2 mediumSpan(int medium, Ray ray, float tMax) {
+  if (medium != SCENE_MEDIUM) {
+    return vec2(0, tMax);
+  }
+#ifdef USE_DENSITY_GRID
+  BoundingBox box = BoundingBox(densityMin, densityMax);
+#else
+  BoundingBox box = createBoundingBox(0);
+#endif
+  vec3 inverse = 1.0 / ray.dir;
+  vec3 t1 = (box.bMin - ray.origin) * inverse;
+  vec3 t2 = (box.bMax - ray.origin) * inverse;
+  vec3 nearT = min(t1, t2);
+  vec3 farT = max(t1, t2);
+  float near = max(max(max(nearT.x, nearT.y), nearT.z), 0.0);
+  float far = min(min(min(farT.x, farT.y), farT.z), tMax);
+  return vec2(near, max(near, far));
+}
+
+#ifdef USE_DENSITY_GRID
+float gridDensity(vec3 point) {
+  return texture(densityTex, (point - densityMin) / (densityMax - densityMin)).r;
+}
+
+// Spectral tracking after Kutz et al.: tentative collisions against the grid's densest voxel are real scattering or
+// null by how much each would carry, and the weight makes up for the colors that chance favored
+MediumEvent trackGrid(Medium medium, Ray ray, vec2 span, float tMax) {
+  vec3 extinction = medium.absorption + medium.scattering;
+  float majorant = maxDensity * maxComponent(extinction);
+  vec3 weight = vec3(1);
+  float t = span.x;
+  for (int i = 0; i < MAX_NULL_COLLISIONS && majorant > 0.0; i++) {
+    t -= log(1.0 - rnd()) / majorant;
+    if (t >= span.y) {
+      break;
+    }
+    float density = gridDensity(ray.origin + ray.dir * t);
+    vec3 scattering = medium.scattering * density;
+    vec3 nullCollision = vec3(majorant) - extinction * density;
+    float scatterChance = meanComponent(weight * scattering);
+    float nullChance = meanComponent(weight * nullCollision);
+    float total = scatterChance + nullChance;
+    if (total <= 0.0) {
+      return MediumEvent(tMax, false, vec3(0));
+    }
+    if (rnd() * total < scatterChance) {
+      return MediumEvent(t, true, weight * scattering * total / (majorant * scatterChance));
+    }
+    weight *= nullCollision * total / (majorant * nullChance);
+  }
+  return MediumEvent(tMax, false, weight);
+}
+
+// Ratio tracking, the chance of each tentative collision being null multiplied together
+vec3 gridTransmittance(Medium medium, Ray ray, vec2 span) {
+  vec3 extinction = medium.absorption + medium.scattering;
+  float majorant = maxDensity * maxComponent(extinction);
+  vec3 transmittance = vec3(1);
+  float t = span.x;
+  for (int i = 0; i < MAX_NULL_COLLISIONS && majorant > 0.0; i++) {
+    t -= log(1.0 - rnd()) / majorant;
+    if (t >= span.y) {
+      break;
+    }
+    transmittance *= vec3(1) - extinction * gridDensity(ray.origin + ray.dir * t) / majorant;
+  }
+  return transmittance;
+}
+#endif
+
+// Finds where along a ray, going no further than tMax, it first scatters in the medium, if it does
+MediumEvent sampleMedium(int medium, Ray ray, float tMax) {
+#ifdef USE_MEDIUM
+  Medium m = createMedium(medium);
+  vec3 extinction = m.absorption + m.scattering;
+  vec2 span = mediumSpan(medium, ray, tMax);
+  if (span.y <= span.x || maxComponent(extinction) <= 0.0) {
+    return MediumEvent(tMax, false, vec3(1));
+  }
+#ifdef USE_DENSITY_GRID
+  if (medium == SCENE_MEDIUM) {
+    return trackGrid(m, ray, span, tMax);
+  }
+#endif
+  float extent = span.y - span.x;
+  if (maxComponent(m.scattering) <= 0.0) {
+    return MediumEvent(tMax, false, exp(-extinction * extent));
+  }
+  // The distance is sampled for one color, and weighted by the chance of it over all three
+  int channel = min(int(rnd() * 3.0), 2);
+  float travel = extinction[channel] > 0.0 ? -log(1.0 - rnd()) / extinction[channel] : MAX_T;
+  if (travel < extent) {
+    vec3 transmittance = exp(-extinction * travel);
+    return MediumEvent(span.x + travel, true, m.scattering * transmittance / max(meanComponent(extinction * transmittance), EPSILON));
+  }
+  vec3 transmittance = exp(-extinction * extent);
+  return MediumEvent(tMax, false, transmittance / max(meanComponent(transmittance), EPSILON));
+#else
+  return MediumEvent(tMax, false, vec3(1));
+#endif
+}
+
+vec3 mediumTransmittance(int medium, Ray ray, float tMax) {
+  Medium m = createMedium(medium);
+  vec2 span = mediumSpan(medium, ray, tMax);
+  if (span.y <= span.x) {
+    return vec3(1);
+  }
+#ifdef USE_DENSITY_GRID
+  if (medium == SCENE_MEDIUM) {
+    return gridTransmittance(m, ray, span);
+  }
+#endif
+  return exp(-(m.absorption + m.scattering) * (span.y - span.x));
+}
+
+// The first surface along a shadow ray that isn't just a medium's boundary, and the light that gets through the media
+// on the way there, or to tMax
+Hit traceShadow(Ray ray, float tMax, int medium, out vec3 transmittance) {
+  transmittance = vec3(1);
+#ifdef USE_MEDIUM
+  float travelled = 0.0;
+  Hit hit;
+  for (int i = 0; i <= MAX_MEDIUM_BOUNDARIES; i++) {
+    hit = intersectScene(ray);
+    transmittance *= mediumTransmittance(medium, ray, min(hit.t, tMax - travelled));
+    if (hit.index < 0 || travelled + hit.t >= tMax) {
+      break;
+    }
+    int materialIndex = createInstance(hit.instance).materialOffset + materialGroup(hit.index);
+    if (!isMediumBoundary(createMaterial(materialIndex)) || i == MAX_MEDIUM_BOUNDARIES) {
+      break;
+    }
+    // Media don't nest, so a boundary is either into its prop's medium or back out to the scene's
+    medium = medium == materialIndex ? SCENE_MEDIUM : materialIndex;
+    travelled += hit.t;
+    ray.origin += ray.dir * hit.t;
+  }
+  hit.t += travelled;
+  return hit;
+#else
+  return intersectScene(ray);
+#endif
+}
+
+// The chance of light arriving from wi being scattered towards wo, both pointing away from the scattering point
+float henyeyGreenstein(vec3 wo, vec3 wi, float g) {
+  float denom = 1.0 + g * g + 2.0 * g * dot(wo, wi);
+  return 0.25 * INV_PI * (1.0 - g * g) / (denom * sqrt(denom));
+}
+
+vec3 sampleHenyeyGreenstein(vec3 wo, float g) {
+  float u = rnd();
+  float cosTheta = 1.0 - 2.0 * u;
+  if (abs(g) > 1e-3) {
+    float s = (1.0 - g * g) / (1.0 + g - 2.0 * g * u);
+    cosTheta = -(1.0 + g * g - s * s) / (2.0 * g);
+  }
+  float sinTheta = sqrt(max(1.0 - cosTheta * cosTheta, 0.0));
+  float phi = M_TAU * rnd();
+  vec3 tangent = normalize(cross(abs(wo.z) < 0.999 ? vec3(0, 0, 1) : vec3(1, 0, 0), wo));
+  return sinTheta * cos(phi) * tangent + sinTheta * sin(phi) * cross(wo, tangent) + cosTheta * wo;
+}
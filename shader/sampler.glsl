@@ -0,0 +1,101 @@
+// Random numbers for one sample of a pixel, rnd() giving one dimension after another.
+// With SAMPLER_SOBOL they are Owen scrambled Sobol points. Samples are shuffled and scrambled per pixel and per group
+// of 4 dimensions with hash based Owen scrambling (Burley 2020, "Practical Hash-based Owen Scrambling"), so every
+// power of 2 of a pixel's samples is stratified. Otherwise they come from the sine hash of seed.
+// hashRnd() hashes the pixel and sample with a key instead, without using up a dimension.
+
+uint hash(uint x) {
+  x ^= x >> 16u;
+  x *= 0x7feb352du;
+  x ^= x >> 15u;
+  x *= 0x846ca68bu;
+  x ^= x >> 16u;
+  return x;
+}
+
+// Seeds hashRnd() with the pixel and the sample
+uint sampleHash;
+
+#ifdef SAMPLER_SOBOL
+// Direction numbers of Sobol dimensions 1 to 3, dimension 0 is the bit reversed index
+const uint sobolDirections[96] = uint[96](
+  0x80000000u, 0xc0000000u, 0xa0000000u, 0xf0000000u, 0x88000000u, 0xcc000000u, 0xaa000000u, 0xff000000u,
+  0x80800000u, 0xc0c00000u, 0xa0a00000u, 0xf0f00000u, 0x88880000u, 0xcccc0000u, 0xaaaa0000u, 0xffff0000u,
+  0x80008000u, 0xc000c000u, 0xa000a000u, 0xf000f000u, 0x88008800u, 0xcc00cc00u, 0xaa00aa00u, 0xff00ff00u,
+  0x80808080u, 0xc0c0c0c0u, 0xa0a0a0a0u, 0xf0f0f0f0u, 0x88888888u, 0xccccccccu, 0xaaaaaaaau, 0xffffffffu,
+  0x80000000u, 0xc0000000u, 0x60000000u, 0x90000000u, 0xe8000000u, 0x5c000000u, 0x8e000000u, 0xc5000000u,
+  0x68800000u, 0x9cc00000u, 0xee600000u, 0x55900000u, 0x80680000u, 0xc09c0000u, 0x60ee0000u, 0x90550000u,
+  0xe8808000u, 0x5cc0c000u, 0x8e606000u, 0xc5909000u, 0x6868e800u, 0x9c9c5c00u, 0xeeee8e00u, 0x5555c500u,
+  0x8000e880u, 0xc0005cc0u, 0x60008e60u, 0x9000c590u, 0xe8006868u, 0x5c009c9cu, 0x8e00eeeeu, 0xc5005555u,
+  0x80000000u, 0xc0000000u, 0x20000000u, 0x50000000u, 0xf8000000u, 0x74000000u, 0xa2000000u, 0x93000000u,
+  0xd8800000u, 0x25400000u, 0x59e00000u, 0xe6d00000u, 0x78080000u, 0xb40c0000u, 0x82020000u, 0xc3050000u,
+  0x208f8000u, 0x51474000u, 0xfbea2000u, 0x75d93000u, 0xa0858800u, 0x914e5400u, 0xdbe79e00u, 0x25db6d00u,
+  0x58800080u, 0xe54000c0u, 0x79e00020u, 0xb6d00050u, 0x800800f8u, 0xc00c0074u, 0x200200a2u, 0x50050093u
+);
+
+uint pixelSeed;
+uint sampleIndex;
+uint dimension;
+
+uint reverseBits(uint x) {
+  x = (x << 16u) | (x >> 16u);
+  x = ((x & 0x00ff00ffu) << 8u) | ((x & 0xff00ff00u) >> 8u);
+  x = ((x & 0x0f0f0f0fu) << 4u) | ((x & 0xf0f0f0f0u) >> 4u);
+  x = ((x & 0x33333333u) << 2u) | ((x & 0xccccccccu) >> 2u);
+  x = ((x & 0x55555555u) << 1u) | ((x & 0xaaaaaaaau) >> 1u);
+  return x;
+}
+
+// Laine-Karras permutation of the reversed bits, which scrambles each bit by the ones above it
+uint nestedUniformScramble(uint x, uint seed) {
+  x = reverseBits(x);
+  x += seed;
+  x ^= x * 0x6c50b47cu;
+  x ^= x * 0xb82f1e52u;
+  x ^= x * 0xc7afe638u;
+  x ^= x * 0x8d22f6e6u;
+  return reverseBits(x);
+}
+
+uint sobol(uint index, uint component) {
+  if (component == 0u) {
+    return reverseBits(index);
+  }
+  uint x = 0u;
+  for (uint bit = 0u; index != 0u; bit++) {
+    if ((index & 1u) != 0u) {
+      x ^= sobolDirections[(component - 1u) * 32u + bit];
+    }
+    index >>= 1u;
+  }
+  return x;
+}
+
+// seed changes whenever accumulation starts over, index is the sample and first the dimension to start at
+void initSampler(uvec2 pixel, uint seed, uint index, uint first) {
+  pixelSeed = hash(seed ^ hash(pixel.x ^ hash(pixel.y)));
+  sampleIndex = index;
+  sampleHash = hash(pixelSeed ^ hash(index));
+  dimension = first;
+}
+
+float rnd() {
+  uint groupSeed = hash(pixelSeed ^ hash(dimension / 4u));
+  uint component = dimension % 4u;
+  dimension++;
+  uint index = nestedUniformScramble(sampleIndex, groupSeed);
+  uint x = nestedUniformScramble(sobol(index, component), hash(groupSeed ^ (component + 1u)));
+  return float(x >> 8u) * (1.0 / 16777216.0);
+}
+#else
+float seed;
+
+float rnd() { return fract(sin(seed += 0.211324865405187)*43758.5453123); }
+#endif
+
+// A random number that leaves rnd()'s dimensions alone, for choices made a varying number of times per sample, like
+// the partly transparent triangles a ray's traversal happens to test. key tells the choices apart.
+float hashRnd(uvec3 key) {
+  uint x = hash(sampleHash ^ hash(key.x ^ hash(key.y ^ hash(key.z))));
+  return float(x >> 8u) * (1.0 / 16777216.0);
+}
@@ -1,12 +1,21 @@
 #version 300 es
 //#define ENV_BINS 0
 //#define NUM_LIGHT_RANGES 0
+//#define NUM_LIGHTS 0
+//#define NUM_AOVS 0
+//#define NUM_ANALYTIC_LIGHTS 0
+//#define MAX_BOUNCES 12
+//#define MIN_BOUNCES 3
+//#define MAX_DIFFUSE_BOUNCES 4
+//#define MAX_SPECULAR_BOUNCES 8
+//#define MAX_TRANSMISSION_BOUNCES 12
+//#define MAX_VOLUME_BOUNCES 4
 
 precision highp float;
 precision highp int;
 precision highp sampler2DArray;
+precision highp sampler3D;
 
-const int NUM_BOUNCES = 4;
 const float MAX_T = 100000.0;
 const float EPSILON = 0.000001;
 const float M_PI = 3.14159265;
@@ -15,10 +24,17 @@ const float INV_PI = 1.0 / M_PI;
 const float EXPLICIT_COS_THRESHOLD = -0.1;
 
 uniform uint tick;
+uniform uint sampleSeed;
+uniform uint minSamples;
+uniform float errorTarget;
 uniform float numLights;
 uniform float randBase;
 uniform float envTheta;
 uniform uvec4 radianceBins[ENV_BINS];
+#if NUM_ANALYTIC_LIGHTS > 0
+// Packed by lights.js, 4 vec4s per light
+uniform vec4 analyticLights[NUM_ANALYTIC_LIGHTS * 4];
+#endif
 uniform sampler2D fbTex;
 uniform sampler2D triTex;
 uniform sampler2D normTex;
@@ -27,14 +43,57 @@ uniform sampler2D matTex;
 uniform sampler2D lightTex;
 uniform sampler2D uvTex;
 uniform sampler2D envTex;
+// The pdf of sampleEnv picking each texel, before dividing by the sine of its polar angle
+uniform sampler2D envPdfTex;
 uniform sampler2D cameraPosTex;
 uniform sampler2D cameraDirTex;
+uniform sampler2D instTex;
 uniform sampler2DArray texArray;
+uniform sampler2DArray aovTex;
+// The scene's medium, per unit of distance
+uniform vec3 mediumAbsorption;
+uniform vec3 mediumScattering;
+uniform float mediumAnisotropy;
+#ifdef USE_DENSITY_GRID
+// The scene's medium is scaled by this grid between densityMin and densityMax, and is clear outside them
+uniform sampler3D densityTex;
+uniform vec3 densityMin;
+uniform vec3 densityMax;
+uniform float maxDensity;
+#endif
 
-float seed;
+// Radiance by how many times it scattered on its way to the camera: emitted at the first hit, direct and indirect
+vec3 lightPaths[3];
+// How much of this sample goes into the running averages, none once the pixel has converged
+float sampleWeight;
 
 in vec2 coords;
-out vec4 fragColor;
+layout(location = 0) out vec4 fragColor;
+// Each AOV is defined as its draw buffer, and is stored in the layer before it
+#ifdef AOV_ALBEDO
+layout(location = AOV_ALBEDO) out vec4 albedoOut;
+#endif
+#ifdef AOV_NORMAL
+layout(location = AOV_NORMAL) out vec4 normalOut;
+#endif
+#ifdef AOV_DEPTH
+layout(location = AOV_DEPTH) out vec4 depthOut;
+#endif
+#ifdef AOV_POSITION
+layout(location = AOV_POSITION) out vec4 positionOut;
+#endif
+#ifdef AOV_ID
+layout(location = AOV_ID) out vec4 idOut;
+#endif
+#ifdef AOV_DIRECT
+layout(location = AOV_DIRECT) out vec4 directOut;
+#endif
+#ifdef AOV_INDIRECT
+layout(location = AOV_INDIRECT) out vec4 indirectOut;
+#endif
+#ifdef AOV_EMISSION
+layout(location = AOV_EMISSION) out vec4 emissionOut;
+#endif
 
 struct Triangle {
   vec3 v1;
@@ -59,14 +118,82 @@ struct MapIndices {
   float specular;
   float normal;
   float roughness;
-  float metallic;
+  float opacity;
 };
 
 struct Material {
   MapIndices mapIndices;
   vec3 emissivity;
   float ior;
-  float dielectric;
+  float phaseAnisotropy;
+  float lightPdf;
+  float specularTint;
+  float anisotropic;
+  float anisotropicRotation;
+  float sheen;
+  float sheenTint;
+  float clearcoat;
+  float clearcoatRoughness;
+  float subsurface;
+  float transmission;
+  vec3 absorption;
+  vec3 scattering;
+};
+
+struct Light {
+  Triangle tri;
+  float cdf;
+  int index;
+  float pdf;
+  int instance;
+};
+
+struct LightSample {
+  vec3 point;
+  vec3 normal;
+  vec3 weights;
+  int index;
+  int instance;
+  float pdf;
+};
+
+// Light sampling picks the emissive triangles as a whole, when they're sampled, or one of the analytic lights
+#if defined(USE_EXPLICIT) && NUM_LIGHTS > 0
+#define MESH_LIGHTS 1
+#else
+#define MESH_LIGHTS 0
+#endif
+#define LIGHT_CHOICES (NUM_ANALYTIC_LIGHTS + MESH_LIGHTS)
+const float LIGHT_CHANCE = 1.0 / float(max(LIGHT_CHOICES, 1));
+
+const int LIGHT_SPHERE = 0;
+const int LIGHT_SUN = 1;
+const int LIGHT_RECT = 2;
+
+struct AnalyticLight {
+  int type;
+  vec3 position;
+  vec3 axis;
+  float radius;
+  vec3 radiance;
+  float cosOuter;
+  vec3 edge;
+  float cosInner;
+};
+
+// pdf is per solid angle, or 0 for point and directional lights, whose radiance is then what arrives
+struct DirectSample {
+  vec3 dir;
+  float dist;
+  vec3 radiance;
+  float pdf;
+};
+
+struct Instance {
+  mat4x3 world;
+  mat4x3 inverse;
+  int root;
+  int materialOffset;
 };
 
 struct Ray {
@@ -95,6 +222,17 @@ struct TexCoords {
 struct Hit {
   float t;
   int index;
+  int instance;
+};
+
+// The camera ray's first hit, with coverage 0 when it missed
+struct Surface {
+  vec3 albedo;
+  vec3 normal;
+  vec3 position;
+  float depth;
+  vec3 id;
+  float coverage;
 };
 
 ivec2 indexToCoords(sampler2D tex, int index, int perElement){
@@ -103,16 +241,33 @@ ivec2 indexToCoords(sampler2D tex, int index, int perElement){
 }
 
 Material createMaterial(int index){
-  ivec2 base = indexToCoords(matTex, index, 4);
+  ivec2 base = indexToCoords(matTex, index, 9);
   vec4 first = texelFetch(matTex, base, 0);
   vec4 second = texelFetch(matTex, base + ivec2(1,0), 0);
   vec4 third = texelFetch(matTex, base + ivec2(2,0), 0);
   vec4 fourth = texelFetch(matTex, base + ivec2(3,0), 0);
+  vec3 specular = texelFetch(matTex, base + ivec2(4,0), 0).rgb;
+  vec3 sheen = texelFetch(matTex, base + ivec2(5,0), 0).rgb;
+  vec3 layers = texelFetch(matTex, base + ivec2(6,0), 0).rgb;
+  vec3 absorption = texelFetch(matTex, base + ivec2(7,0), 0).rgb;
+  vec3 scattering = texelFetch(matTex, base + ivec2(8,0), 0).rgb;
   return Material(
     MapIndices(first.x, first.y, first.z, second.x, second.y),
     third.rgb,
     fourth.r,
-    fourth.g
+    fourth.g,
+    fourth.b,
+    specular.x,
+    specular.y,
+    specular.z,
+    sheen.x,
+    sheen.y,
+    sheen.z,
+    layers.x,
+    layers.y,
+    layers.z,
+    absorption,
+    scattering
   );
 }
 
@@ -125,13 +280,64 @@ Triangle createTriangle(int index){
   );
 }
 
-Triangle createLight(int index){
-  ivec2 base = indexToCoords(lightTex, index, 3);
-  return Triangle(
-    texelFetch(lightTex, base, 0).rgb,
-    texelFetch(lightTex, base + ivec2(1,0), 0).rgb,
-    texelFetch(lightTex, base + ivec2(2,0), 0).rgb
+Light createLight(int index){
+  ivec2 base = indexToCoords(lightTex, index, 5);
+  vec3 fourth = texelFetch(lightTex, base + ivec2(3,0), 0).rgb;
+  return Light(
+    Triangle(
+      texelFetch(lightTex, base, 0).rgb,
+      texelFetch(lightTex, base + ivec2(1,0), 0).rgb,
+      texelFetch(lightTex, base + ivec2(2,0), 0).rgb
+    ),
+    fourth.x,
+    int(fourth.y + 0.5),
+    fourth.z,
+    int(texelFetch(lightTex, base + ivec2(4,0), 0).x + 0.5)
+  );
+}
+
+float lightCdf(int index){
+  ivec2 base = indexToCoords(lightTex, index, 5);
+  return texelFetch(lightTex, base + ivec2(3,0), 0).x;
+}
+
+Instance createInstance(int index){
+  ivec2 base = indexToCoords(instTex, index, 9);
+  vec3 last = texelFetch(instTex, base + ivec2(8,0), 0).rgb;
+  return Instance(
+    mat4x3(
+      texelFetch(instTex, base, 0).rgb,
+      texelFetch(instTex, base + ivec2(1,0), 0).rgb,
+      texelFetch(instTex, base + ivec2(2,0), 0).rgb,
+      texelFetch(instTex, base + ivec2(3,0), 0).rgb
+    ),
+    mat4x3(
+      texelFetch(instTex, base + ivec2(4,0), 0).rgb,
+      texelFetch(instTex, base + ivec2(5,0), 0).rgb,
+      texelFetch(instTex, base + ivec2(6,0), 0).rgb,
+      texelFetch(instTex, base + ivec2(7,0), 0).rgb
+    ),
+    int(last.x + 0.5),
+    int(last.y + 0.5)
+  );
+}
+
+// Only what traversal needs: the ray in object space and the mesh's root node
+int instanceRay(int index, in Ray ray, out Ray objectRay){
+  ivec2 base = indexToCoords(instTex, index, 9);
+  mat4x3 inverse = mat4x3(
+    texelFetch(instTex, base + ivec2(4,0), 0).rgb,
+    texelFetch(instTex, base + ivec2(5,0), 0).rgb,
+    texelFetch(instTex, base + ivec2(6,0), 0).rgb,
+    texelFetch(instTex, base + ivec2(7,0), 0).rgb
   );
+  // The direction isn't renormalized so hit distances stay in world units
+  objectRay = Ray(inverse * vec4(ray.origin, 1.0), inverse * vec4(ray.dir, 0.0));
+  return int(texelFetch(instTex, base + ivec2(8,0), 0).x + 0.5);
+}
+
+Triangle transformTriangle(Triangle tri, mat4x3 world){
+  return Triangle(world * vec4(tri.v1, 1.0), world * vec4(tri.v2, 1.0), world * vec4(tri.v3, 1.0));
 }
 
 Normals createNormals(int index){
@@ -149,6 +355,22 @@ Normals createNormals(int index){
   );
 }
 
+Normals transformNormals(Normals n, Instance inst){
+  mat3 world = mat3(inst.world);
+  mat3 normalMatrix = transpose(mat3(inst.inverse));
+  return Normals(
+    normalize(normalMatrix * n.n1),
+    normalize(normalMatrix * n.n2),
+    normalize(normalMatrix * n.n3),
+    normalize(world * n.t1),
+    normalize(world * n.t2),
+    normalize(world * n.t3),
+    normalize(world * n.bt1),
+    normalize(world * n.bt2),
+    normalize(world * n.bt3)
+  );
+}
+
 TexCoords createTexCoords(int index){
   ivec2 base = indexToCoords(uvTex, index, 3);
   return TexCoords(
@@ -158,6 +380,11 @@ TexCoords createTexCoords(int index){
   );
 }
 
+// A triangle's material group within its mesh, offset by the instance to find the material
+int materialGroup(int index){
+  return int(texelFetch(uvTex, indexToCoords(uvTex, index, 3), 0).b + 0.5);
+}
+
 BoundingBox createBoundingBox(int index) {
   ivec2 nodeCoords = indexToCoords(bvhTex, index, 3);
   vec3 bbMin = texelFetch(bvhTex, nodeCoords + ivec2(1,0), 0).rgb;
@@ -178,18 +405,8 @@ Node createNode(int index){
   );
 }
 
-float rnd() { return fract(sin(seed += 0.211324865405187)*43758.5453123); }
-
-vec2 hammersley(uint i, float iN) {
-    float tof = 0.5 / 2147483648.0;
-    uint bits = i;
-    bits = (bits << 16u) | (bits >> 16u);
-    bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
-    bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
-    bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
-    bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
-    return vec2(float(i) * iN, float(bits) * tof);
-}
+#include "sampler.glsl"
+#include "adaptive.glsl"
 
 vec2 misWeights(float a, float b ) {
     if (a > EPSILON && b > EPSILON) {
@@ -212,90 +429,7 @@ vec3 cosineSampleHemisphere(float u1, float u2) {
 	return dir;
 }
 
-float gtr2(float ndh, float a) {
-	float a2 = a * a;
-	float t = 1.0 + (a2 - 1.0) * ndh * ndh;
-	return a2 / (M_PI * t * t);
-}
-
-float smithG(float NDotv, float alphaG) {
-	float a = alphaG * alphaG;
-	float b = NDotv * NDotv;
-	return 1.0 / (NDotv + sqrt(a + b - a * b));
-}
-
-float gtr2Pdf(vec3 incident, vec3 normal, vec2 metallicRoughness, vec3 bsdfDir) {
-	float specularAlpha = max(0.001, metallicRoughness.y);
-	vec3 halfVec = normalize(bsdfDir + incident);
-  float cosTheta = abs(dot(halfVec, normal));
-  float pdfgtr2 = gtr2(cosTheta, specularAlpha) * cosTheta;
-  return pdfgtr2 / (4.0 * abs(dot(bsdfDir, halfVec)));
-}
-
-float lambertPdf(vec3 normal, vec2 metallicRoughness, vec3 bsdfDir) {
-  return abs(dot(bsdfDir, normal)) * INV_PI;
-}
-
-float schlick(vec3 incident, vec3 normal, vec2 ns){
-  float r0 = (ns.x - ns.y) / (ns.x + ns.y);
-  r0 *= r0;
-  float cosTheta = dot(normal, incident);
-  if (ns.x > ns.y)
-  {
-      float n = ns.x / ns.y;
-      float sinTheta2 = n * n * (1.0 - cosTheta * cosTheta);
-      // Total internal reflection
-      if (sinTheta2 > 1.0)
-          return 1.0;
-      cosTheta = sqrt(1.0 - sinTheta2);
-  }
-  float x = 1.0 - cosTheta;
-  return r0 + (1.0 - r0)*x*x*x*x*x;
-}
-
-vec3 sampleMicrofacet(vec3 normal, vec2 metallicRoughness) {
-    float r1 = rnd();
-    float r2 = rnd();
-    vec3 up = abs(normal.z) < 0.999 ? vec3(0, 0, 1) : vec3(1, 0, 0);
-    vec3 tangent = normalize(cross(up, normal));
-    vec3 bitangent = cross(normal, tangent);
-		float a = max(0.001, metallicRoughness.y);
-		float phi = r1 * M_TAU;
-		float cosTheta = sqrt((1.0 - r2) / (1.0 + (a*a - 1.0) *r2));
-		float sinTheta = clamp(sqrt(1.0 - (cosTheta * cosTheta)), 0.0, 1.0);
-		float sinPhi = sin(phi);
-		float cosPhi = cos(phi);
-		vec3 halfVec = vec3(sinTheta*cosPhi, sinTheta*sinPhi, cosTheta);
-		return tangent * halfVec.x + bitangent * halfVec.y + normal * halfVec.z;
-}
-
-vec3 sampleLambert(vec3 normal) {
-    float r1 = rnd();
-    float r2 = rnd();
-    vec3 up = abs(normal.z) < 0.999 ? vec3(0, 0, 1) : vec3(1, 0, 0);
-    vec3 tangent = normalize(cross(up, normal));
-    vec3 bitangent = cross(normal, tangent);
-    vec3 dir = cosineSampleHemisphere(r1, r2);
-    return tangent * dir.x + bitangent * dir.y + normal * dir.z;
-}
-
-vec3 evalSpecular(vec3 incident, vec3 normal, vec3 diffuseColor, vec2 metallicRoughness, in vec3 bsdfDir) {
-  float ndl = dot(normal, bsdfDir);
-  float ndv = dot(normal, incident);
-  vec3 H = normalize(bsdfDir + incident);
-  float ndh = dot(normal, H);
-  float a = max(0.001, metallicRoughness.y);
-  float Ds = gtr2(ndh, a);
-  vec3 Fs = mix(vec3(1.0), diffuseColor, metallicRoughness.x);
-  float roughg = (metallicRoughness.y * 0.5 + 0.5);
-  roughg = roughg * roughg;
-  float Gs = smithG(ndl, roughg) * smithG(ndv, roughg);
-  return Gs * Fs * Ds;
-}
-
-vec3 evalLambert(vec3 diffuseColor) {
-  return diffuseColor * INV_PI;
-}
+#include "bsdf.glsl"
 
 float rayTriangleIntersect(in Ray ray, in Triangle tri){
   vec3 e1 = tri.v2 - tri.v1;
@@ -336,6 +470,16 @@ vec3 barycentricNormal(vec3 weights, Normals normals, vec3 texNormal, out vec3 b
   return normalize(texNormal.x * baryTangent + texNormal.y * baryBiTangent + texNormal.z * baryNormal);
 }
 
+// The interpolated tangent, made perpendicular to the shading normal, or any perpendicular where there is none
+vec3 barycentricTangent(vec3 weights, Normals normals, vec3 normal){
+  vec3 tangent = weights.x * normals.t1 + weights.y * normals.t2 + weights.z * normals.t3;
+  tangent -= normal * dot(normal, tangent);
+  if (dot(tangent, tangent) < EPSILON) {
+    tangent = cross(abs(normal.z) < 0.999 ? vec3(0, 0, 1) : vec3(1, 0, 0), normal);
+  }
+  return normalize(tangent);
+}
+
 vec3 barycentricWeights(Triangle tri, vec3 p){
   vec3 v0 = tri.v2 - tri.v1;
   vec3 v1 = tri.v3 - tri.v1;
@@ -352,22 +496,90 @@ vec3 barycentricWeights(Triangle tri, vec3 p){
   return vec3(u, v, w);
 }
 
-void processLeaf(in Node leaf, in Ray ray, inout Hit result){
+#ifdef USE_ALPHA
+// Rays the sample has traced, so each one's chance of going through a partly opaque triangle is its own
+uint rayCount;
+uint currentRay;
+
+// Whether a ray goes through a triangle where its opacity map cuts it out, or by chance where it's partly opaque.
+// The chance is hashed rather than drawn, as how many triangles traversal tests depends on the order it visits them.
+bool isCutOut(int index, int instance, vec3 weights){
+  int materialIndex = createInstance(instance).materialOffset + materialGroup(index);
+  vec3 maps = texelFetch(matTex, indexToCoords(matTex, materialIndex, 9) + ivec2(1,0), 0).rgb;
+  if (maps.y < 0.0) {
+    return false;
+  }
+  vec2 texCoord = barycentricTexCoord(weights, createTexCoords(index));
+  float alpha = textureLod(texArray, vec3(texCoord, maps.y), 0.0).a;
+  return maps.z > 0.0 ? alpha < maps.z : alpha < 1.0 && hashRnd(uvec3(currentRay, instance, index)) >= alpha;
+}
+#endif
+
+void processLeaf(in Node leaf, in Ray ray, int instance, inout Hit result){
   for(int i=0; i<LEAF_SIZE; ++i){
     Triangle tri = createTriangle(leaf.triangles + i);
     float res = rayTriangleIntersect(ray, tri);
     if(res < result.t){
+#ifdef USE_ALPHA
+      if (isCutOut(leaf.triangles + i, instance, barycentricWeights(tri, ray.origin + ray.dir * res))) {
+        continue;
+      }
+#endif
       result.index = leaf.triangles + i;
+      result.instance = instance;
       result.t = res;
     }
   }
 }
 
-Hit intersectScene(Ray ray){
-  Hit result = Hit(MAX_T, -1);
+// Bottom level traversal of one mesh, with the ray already in the instance's object space
+void intersectMesh(Ray ray, int root, int instance, inout Hit result){
 	int stack[64];
 	int ptr = 0;
 	stack[ptr++] = -1;
+	int idx = root;
+  Node current;
+	while (idx > -1) {
+    current = createNode(idx);
+		int leftIndex = current.left;
+		int rightIndex = current.right;
+    float leftHit = rayBoxIntersect(createBoundingBox(leftIndex), ray);
+    float rightHit = rayBoxIntersect(createBoundingBox(rightIndex), ray);
+    if (current.triangles > -1) {
+      processLeaf(current, ray, instance, result);
+    } else {
+      if (leftHit < result.t && rightHit < result.t) {
+        int deferred = -1;
+        if (leftHit > rightHit) {
+          idx = rightIndex;
+          deferred = leftIndex;
+        } else {
+          idx = leftIndex;
+          deferred = rightIndex;
+        }
+        stack[ptr++] = deferred;
+        continue;
+      } else if (leftHit < result.t) {
+        idx = leftIndex;
+        continue;
+      } else if (rightHit < result.t) {
+        idx = rightIndex;
+        continue;
+      }
+    }
+		idx = stack[--ptr];
+	}
+}
+
+// Top level traversal over instances, whose leaves hold an instance index
+Hit intersectScene(Ray ray){
+#ifdef USE_ALPHA
+  currentRay = rayCount++;
+#endif
+  Hit result = Hit(MAX_T, -1, -1);
+	int stack[32];
+	int ptr = 0;
+	stack[ptr++] = -1;
 	int idx = 0;
   Node current;
 	while (idx > -1) {
@@ -377,7 +589,9 @@ Hit intersectScene(Ray ray){
     float leftHit = rayBoxIntersect(createBoundingBox(leftIndex), ray);
     float rightHit = rayBoxIntersect(createBoundingBox(rightIndex), ray);
     if (current.triangles > -1) {
-      processLeaf(current, ray, result);
+      Ray objectRay;
+      int root = instanceRay(current.triangles, ray, objectRay);
+      intersectMesh(objectRay, root, current.triangles, result);
     } else {
       if (leftHit < result.t && rightHit < result.t) {
         int deferred = -1;
@@ -408,9 +622,7 @@ float albedo(vec3 color){
 }
 
 vec3 envColor(vec2 c) {
-  vec4 rgbe = texture(envTex, c);
-  rgbe.rgb *= pow(2.0,rgbe.a*255.0-128.0);
-  return rgbe.rgb;
+  return texture(envTex, c).rgb;
 }
 
 vec3 envSample(vec3 dir){
@@ -433,86 +645,504 @@ vec4 sampleEnv() {
   return dirPdf;
 }
 
+// The pdf of sampleEnv picking dir, from the texel it falls in
+float envPdf(vec3 dir) {
+  ivec2 dims = textureSize(envPdfTex, 0);
+  vec2 uv = vec2(fract(envTheta + atan(dir.z, dir.x) / M_TAU), acos(clamp(dir.y, -1.0, 1.0)) * INV_PI);
+  ivec2 texel = min(ivec2(uv * vec2(dims)), dims - 1);
+  float sinPhi = sqrt(max(1.0 - dir.y * dir.y, EPSILON));
+  return texelFetch(envPdfTex, texel, 0).r / sinPhi;
+}
+
+#if NUM_LIGHTS > 0
+// Binary search the light power CDF for the triangle owning u
+int findLight(float u) {
+  int lo = 0;
+  int hi = NUM_LIGHTS - 1;
+  while (lo < hi) {
+    int mid = (lo + hi) / 2;
+    if (lightCdf(mid) < u) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+// The area pdf sampleLight gives a triangle of an instance, or 0 when it isn't a light. Lights are ordered by
+// instance, material group and triangle, so they're binary searched in that order.
+float trianglePdf(int instance, int group, int index) {
+  ivec3 key = ivec3(instance, group, index);
+  int lo = 0;
+  int hi = NUM_LIGHTS - 1;
+  while (lo <= hi) {
+    int mid = (lo + hi) / 2;
+    ivec2 base = indexToCoords(lightTex, mid, 5);
+    vec3 fourth = texelFetch(lightTex, base + ivec2(3,0), 0).rgb;
+    vec3 fifth = texelFetch(lightTex, base + ivec2(4,0), 0).rgb;
+    ivec3 light = ivec3(int(fifth.x + 0.5), int(fifth.z + 0.5), int(fourth.y + 0.5));
+    if (light == key) {
+      return fourth.z;
+    }
+    bvec3 less = lessThan(light, key);
+    bvec3 same = equal(light, key);
+    if (less.x || (same.x && (less.y || (same.y && less.z)))) {
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return 0.0;
+}
+
+// Pick a light triangle by area * power, then a uniform point on it
+LightSample sampleLight() {
+  Light light = createLight(findLight(rnd()));
+  float r1 = sqrt(rnd());
+  float r2 = rnd();
+  vec3 weights = vec3(1.0 - r1, r1 * (1.0 - r2), r1 * r2);
+  vec3 point = weights.x * light.tri.v1 + weights.y * light.tri.v2 + weights.z * light.tri.v3;
+  vec3 normal = normalize(cross(light.tri.v2 - light.tri.v1, light.tri.v3 - light.tri.v1));
+  return LightSample(point, normal, weights, light.index, light.instance, light.pdf);
+}
+#endif
+
+#if NUM_ANALYTIC_LIGHTS > 0
+AnalyticLight createAnalyticLight(int index) {
+  vec4 first = analyticLights[index * 4];
+  vec4 second = analyticLights[index * 4 + 1];
+  vec4 third = analyticLights[index * 4 + 2];
+  vec4 fourth = analyticLights[index * 4 + 3];
+  return AnalyticLight(int(first.w + 0.5), first.xyz, second.xyz, second.w, third.rgb, third.w, fourth.xyz, fourth.w);
+}
+
+float spotFalloff(AnalyticLight light, vec3 fromLight) {
+  float cosAngle = dot(fromLight, light.axis);
+  return light.cosInner > light.cosOuter ? smoothstep(light.cosOuter, light.cosInner, cosAngle) : step(light.cosOuter, cosAngle);
+}
+
+// 1 - cos of the widest angle a cone sees, kept accurate for the tiny cones of small or distant lights
+float coneSize(float sinAngle2) {
+  return sinAngle2 / (1.0 + sqrt(max(1.0 - sinAngle2, 0.0)));
+}
+
+vec3 sampleCone(vec3 axis, float size) {
+  float cosTheta = 1.0 - rnd() * size;
+  float sinTheta = sqrt(max(1.0 - cosTheta * cosTheta, 0.0));
+  float phi = rnd() * M_TAU;
+  vec3 up = abs(axis.z) < 0.999 ? vec3(0, 0, 1) : vec3(1, 0, 0);
+  vec3 tangent = normalize(cross(up, axis));
+  vec3 bitangent = cross(axis, tangent);
+  return tangent * cos(phi) * sinTheta + bitangent * sin(phi) * sinTheta + axis * cosTheta;
+}
+
+// Spheres are sampled by the cone they fill, suns by their disc and rectangles by area
+DirectSample sampleAnalyticLight(int index, vec3 origin) {
+  AnalyticLight light = createAnalyticLight(index);
+  DirectSample direct = DirectSample(vec3(0, 1, 0), MAX_T, vec3(0), 0.0);
+  if (light.type == LIGHT_SUN) {
+    float size = 1.0 - light.cosOuter;
+    direct.dir = size > 0.0 ? sampleCone(light.axis, size) : light.axis;
+    direct.pdf = size > 0.0 ? 1.0 / (M_TAU * size) : 0.0;
+    direct.radiance = light.radiance;
+  } else if (light.type == LIGHT_RECT) {
+    vec3 point = light.position + light.axis * (rnd() - 0.5) + light.edge * (rnd() - 0.5);
+    vec3 normal = cross(light.axis, light.edge);
+    float area = length(normal);
+    vec3 toLight = point - origin;
+    direct.dist = length(toLight);
+    direct.dir = toLight / direct.dist;
+    float cosLight = -dot(direct.dir, normal) / area;
+    if (cosLight > EPSILON) {
+      direct.pdf = direct.dist * direct.dist / (area * cosLight);
+      direct.radiance = light.radiance;
+    }
+  } else {
+    vec3 toCenter = light.position - origin;
+    float dist2 = dot(toCenter, toCenter);
+    float dist = sqrt(dist2);
+    vec3 axis = toCenter / dist;
+    float falloff = spotFalloff(light, -axis);
+    if (light.radius <= 0.0) {
+      direct.dir = axis;
+      direct.dist = dist;
+      direct.radiance = light.radiance * falloff / dist2;
+    } else if (dist > light.radius) {
+      float size = coneSize(light.radius * light.radius / dist2);
+      direct.dir = sampleCone(axis, size);
+      float cosTheta = dot(direct.dir, axis);
+      direct.dist = dist * cosTheta - sqrt(max(light.radius * light.radius - dist2 * (1.0 - cosTheta * cosTheta), 0.0));
+      direct.pdf = 1.0 / (M_TAU * size);
+      direct.radiance = light.radiance * falloff;
+    }
+  }
+  return direct;
+}
+#endif
+
+// The closest sphere or rectangle light in front of maxT, with its radiance and the pdf of sampling it from the ray's origin
+DirectSample hitAnalyticLight(Ray ray, float maxT) {
+  DirectSample closest = DirectSample(ray.dir, maxT, vec3(0), -1.0);
+#if NUM_ANALYTIC_LIGHTS > 0
+  for (int i = 0; i < NUM_ANALYTIC_LIGHTS; i++) {
+    AnalyticLight light = createAnalyticLight(i);
+    if (light.type == LIGHT_RECT) {
+      vec3 normal = cross(light.axis, light.edge);
+      float facing = dot(ray.dir, normal);
+      if (facing >= 0.0) {
+        continue;
+      }
+      float t = dot(light.position - ray.origin, normal) / facing;
+      vec3 local = ray.origin + ray.dir * t - light.position;
+      bool inside = abs(dot(local, light.axis)) <= 0.5 * dot(light.axis, light.axis) &&
+        abs(dot(local, light.edge)) <= 0.5 * dot(light.edge, light.edge);
+      if (t > 0.0 && t < closest.dist && inside) {
+        closest = DirectSample(ray.dir, t, light.radiance, t * t / -facing);
+      }
+    } else if (light.type == LIGHT_SPHERE && light.radius > 0.0) {
+      vec3 toCenter = light.position - ray.origin;
+      float b = dot(toCenter, ray.dir);
+      float dist2 = dot(toCenter, toCenter);
+      float c = dist2 - light.radius * light.radius;
+      float discriminant = b * b - c;
+      float t = b - sqrt(max(discriminant, 0.0));
+      if (c > 0.0 && discriminant >= 0.0 && t > 0.0 && t < closest.dist) {
+        float falloff = spotFalloff(light, -toCenter / sqrt(dist2));
+        closest = DirectSample(ray.dir, t, light.radiance * falloff, 1.0 / (M_TAU * coneSize(light.radius * light.radius / dist2)));
+      }
+    }
+  }
+#endif
+  return closest;
+}
+
+// Sun discs seen by a ray that escaped the scene, weighted against sampling them when bsdfPdf is positive
+vec3 sunEmission(vec3 dir, float bsdfPdf) {
+  vec3 radiance = vec3(0);
+#if NUM_ANALYTIC_LIGHTS > 0
+  for (int i = 0; i < NUM_ANALYTIC_LIGHTS; i++) {
+    AnalyticLight light = createAnalyticLight(i);
+    float size = 1.0 - light.cosOuter;
+    if (light.type == LIGHT_SUN && size > 0.0 && dot(dir, light.axis) >= light.cosOuter) {
+      float lightPdf = LIGHT_CHANCE / (M_TAU * size);
+      radiance += light.radiance * (bsdfPdf > 0.0 ? misWeights(bsdfPdf, lightPdf).x : 1.0);
+    }
+  }
+#endif
+  return radiance;
+}
+
+// Emissivity is the radiance of the material, the emission map only tints it
+vec3 evalEmission(Material mat, vec2 texCoord) {
+  vec3 texEmmissive = texture(texArray, vec3(texCoord, mat.mapIndices.specular)).rgb;
+  return mat.emissivity * texEmmissive;
+}
+
+vec3 lightEmission(int index, int instance, vec3 weights) {
+  Material mat = createMaterial(createInstance(instance).materialOffset + materialGroup(index));
+  vec2 texCoord = barycentricTexCoord(weights, createTexCoords(index));
+  return evalEmission(mat, texCoord);
+}
+
+#include "medium.glsl"
+
+// The material's bsdf at a surface, with its tangent turned by the anisotropic rotation
+Bsdf createBsdf(Material mat, vec3 normal, vec3 tangent, vec3 baseColor, vec2 metallicRoughness, float eta) {
+  float rotation = mat.anisotropicRotation * M_TAU;
+  tangent = cos(rotation) * tangent + sin(rotation) * cross(normal, tangent);
+  return Bsdf(tangent, cross(normal, tangent), normal, baseColor, metallicRoughness.x, metallicRoughness.y,
+    mat.specularTint, mat.anisotropic, mat.sheen, mat.sheenTint, mat.clearcoat, mat.clearcoatRoughness, mat.subsurface,
+    mat.transmission, eta);
+}
+
+// Rays leave from just off the surface, on the side they head to
+vec3 offsetOrigin(vec3 origin, vec3 normal, vec3 dir) {
+  return origin + normal * (dot(normal, dir) < 0.0 ? -EPSILON : EPSILON) * 2.0;
+}
+
+// Where a path scatters: off a surface by its bsdf, or off a particle of a medium by its phase function
+struct Vertex {
+  vec3 position;
+  vec3 incident;
+  Bsdf bsdf;
+  float anisotropy;
+  bool inMedium;
+  // The media on the side the path came from, and on the other side of a surface
+  int medium;
+  int mediumBehind;
+};
+
+// The light from dir scattered towards the incident direction, cosine included, and the pdf of sampling dir
+vec3 evalVertex(Vertex scatter, vec3 dir, out float pdf) {
+  if (scatter.inMedium) {
+    pdf = henyeyGreenstein(scatter.incident, dir, scatter.anisotropy);
+    return vec3(pdf);
+  }
+  return evalBsdf(scatter.bsdf, scatter.incident, dir, pdf) * abs(dot(scatter.bsdf.normal, dir));
+}
+
+vec3 vertexOrigin(Vertex scatter, vec3 dir) {
+  return scatter.inMedium ? scatter.position : offsetOrigin(scatter.position, scatter.bsdf.normal, dir);
+}
+
+int vertexMedium(Vertex scatter, vec3 dir) {
+  return scatter.inMedium || dot(dir, scatter.bsdf.normal) > 0.0 ? scatter.medium : scatter.mediumBehind;
+}
+
+void addRadiance(inout vec3 color, vec3 radiance, int scatters) {
+  color += radiance;
+  lightPaths[min(scatters, 2)] += radiance;
+}
+
+#if NUM_AOVS > 0
+vec4 previousAov(int location) {
+  return texelFetch(aovTex, ivec3(ivec2(gl_FragCoord), location - 1), 0);
+}
+
+vec4 accumulateAov(int location, vec4 value) {
+  return mix(previousAov(location), value, sampleWeight);
+}
+#endif
+
 void main(void) {
   vec2 dims = vec2(textureSize(fbTex, 0));
+#ifdef SAMPLER_SOBOL
+  // The camera used the first 4 dimensions of the sample
+  initSampler(uvec2(gl_FragCoord.xy), sampleSeed, tick, 4u);
+#else
   seed = randBase + gl_FragCoord.x + gl_FragCoord.y * dims.x;
-  Ray ray = Ray(texelFetch(cameraPosTex, ivec2(gl_FragCoord), 0).xyz, texelFetch(cameraDirTex, ivec2(gl_FragCoord), 0).xyz);
-  Hit result = intersectScene(ray);
+  sampleHash = hash(floatBitsToUint(seed));
+#endif
+#ifdef USE_ALPHA
+  rayCount = 0u;
+#endif
+  vec4 previous = texelFetch(fbTex, ivec2(gl_FragCoord), 0);
+  // Every pixel has had a sample per tick until it converged, and converged pixels never get more
+  bool converged = errorTarget > 0.0 && tick >= minSamples && relativeError(previous, float(tick)) < errorTarget;
+  sampleWeight = converged ? 0.0 : 1.0 / (float(tick) + 1.0);
+  // The camera's origin carries the weight of the ray through the lens
+  vec4 cameraOrigin = texelFetch(cameraPosTex, ivec2(gl_FragCoord), 0);
+  Ray ray = Ray(cameraOrigin.xyz, texelFetch(cameraDirTex, ivec2(gl_FragCoord), 0).xyz);
+  Hit result = converged ? Hit(MAX_T, -1, -1) : intersectScene(ray);
   vec3 color = vec3(0);
-  if(result.index < 0){
-    color += envSample(ray.dir);
-  } else {
-    vec3 accumulatedReflectance = vec3(1);
-    for(int i=0; i < NUM_BOUNCES; ++i){
-      Material mat = createMaterial(result.index);
-      Triangle tri = createTriangle(result.index);
+  lightPaths = vec3[3](vec3(0), vec3(0), vec3(0));
+  Surface surface = Surface(vec3(0), vec3(0), vec3(0), 0.0, vec3(-1), 0.0);
+  vec3 accumulatedReflectance = vec3(cameraOrigin.w);
+  // Pdf of the bsdf sample that found this hit, negative if light sampling didn't also cover it
+  float explicitPdf = -1.0;
+  // Pdf of the last bsdf sample, which environment samples are weighted against
+  float bsdfPdf = -1.0;
+  // How far the ray has come since the path last scattered, through the boundaries of media
+  float travelled = 0.0;
+  // Surfaces and particles scattered off so far, counting the surfaces refracted through
+  int vertex = 0;
+  int diffuseBounces = 0;
+  int specularBounces = 0;
+  int transmissionBounces = 0;
+  int volumeBounces = 0;
+  // The camera is taken to be outside of the props' media
+  int medium = SCENE_MEDIUM;
+  for (int bounce = 0; bounce <= MAX_BOUNCES; bounce++) {
+    // The ray ends at a light, the environment or a surface, unless the medium it's in scatters it first
+    float hitDist = result.index < 0 ? MAX_T : result.t;
+    DirectSample hitLight = hitAnalyticLight(Ray(ray.origin - ray.dir * travelled, ray.dir), travelled + hitDist);
+    MediumEvent event = sampleMedium(medium, ray, hitLight.pdf >= 0.0 ? hitLight.dist - travelled : hitDist);
+    accumulatedReflectance *= event.weight;
+    if (!event.scattered && hitLight.pdf >= 0.0) {
+      float lightWeight = explicitPdf > 0.0 ? misWeights(explicitPdf, hitLight.pdf * LIGHT_CHANCE).x : 1.0;
+      addRadiance(color, accumulatedReflectance * hitLight.radiance * lightWeight, vertex);
+      break;
+    }
+    if (!event.scattered && result.index < 0) {
+      float envWeight = misWeights(bsdfPdf, envPdf(ray.dir)).x;
+      addRadiance(color, accumulatedReflectance * (envSample(ray.dir) * envWeight + sunEmission(ray.dir, explicitPdf)), vertex);
+      break;
+    }
+    // Emission found past the last bounce is never added
+    if (bounce == MAX_BOUNCES) {
+      break;
+    }
+    vec3 origin = ray.origin + ray.dir * (event.scattered ? event.t : result.t);
+#ifndef SAMPLER_SOBOL
+    seed = origin.x * randBase * origin.y * 1.396529836 + origin.z * 4761.52835;
+#endif
+    vec3 incident = -ray.dir;
+    Vertex scatter;
+    vec3 bsdfDir;
+    vec3 bsdfThroughput;
+    if (event.scattered) {
+      Medium particles = createMedium(medium);
+      volumeBounces++;
+      if (volumeBounces > MAX_VOLUME_BOUNCES) {
+        break;
+      }
+      bsdfDir = sampleHenyeyGreenstein(incident, particles.anisotropy);
+      bsdfPdf = henyeyGreenstein(incident, bsdfDir, particles.anisotropy);
+      // The phase function is sampled exactly, so it and its pdf cancel out
+      bsdfThroughput = vec3(1);
+      Bsdf none;
+      scatter = Vertex(origin, incident, none, particles.anisotropy, true, medium, medium);
+    } else {
+      Instance inst = createInstance(result.instance);
+      int materialIndex = inst.materialOffset + materialGroup(result.index);
+      Material mat = createMaterial(materialIndex);
+      Triangle tri = transformTriangle(createTriangle(result.index), inst.world);
       TexCoords texCoords = createTexCoords(result.index);
-      vec3 origin = ray.origin + ray.dir * result.t;
       vec3 baryWeights = barycentricWeights(tri, origin);
       vec2 texCoord = barycentricTexCoord(baryWeights, texCoords);
       vec3 texDiffuse = texture(texArray, vec3(texCoord, mat.mapIndices.diffuse)).rgb;
-      vec3 texEmmissive = texture(texArray, vec3(texCoord, mat.mapIndices.specular)).rgb;
       vec2 texMetallicRoughness = texture(texArray, vec3(texCoord, mat.mapIndices.roughness)).rg;
       vec3 texNormal = (texture(texArray, vec3(texCoord, mat.mapIndices.normal)).rgb - vec3(0.5, 0.5, 0.0)) * vec3(2.0, 2.0, 1.0);
       texMetallicRoughness.g *= texMetallicRoughness.g;
-      seed = origin.x * randBase * origin.y * 1.396529836 + origin.z * 4761.52835;
+      Normals normals = transformNormals(createNormals(result.index), inst);
       vec3 baryNormal;
-      vec3 macroNormal = barycentricNormal(baryWeights, createNormals(result.index), texNormal, baryNormal);
+      vec3 macroNormal = barycentricNormal(baryWeights, normals, texNormal, baryNormal);
       bool inside = dot(-ray.dir, baryNormal) < 0.0;
-      vec2 ns = inside ? vec2(mat.ior, 1.0) : vec2(1.0, mat.ior);
       macroNormal = inside ? -macroNormal : macroNormal;
-      ray.origin = origin + macroNormal * EPSILON * 2.0;
-
-      // TODO: make this configurable in the materials
-      color += accumulatedReflectance * texEmmissive * texDiffuse * 30.0;
-      vec3 incident = -ray.dir;
-      vec3 envThroughput;
-      vec3 bsdfThroughput;
-      float bsdfPdf;
-      vec3 microNormal = sampleMicrofacet(macroNormal, texMetallicRoughness);
-      vec4 envDirPdf = sampleEnv();
-      float cosEnv = dot(macroNormal, envDirPdf.xyz);
-      bool specular =  mix(schlick(incident, microNormal, ns), 1.0, texMetallicRoughness.x) > rnd();
-      if (specular) {
-        ray.dir = reflect(-incident, microNormal);
-        bsdfPdf = gtr2Pdf(incident, macroNormal, texMetallicRoughness, ray.dir);
-        bsdfThroughput = evalSpecular(incident, macroNormal, texDiffuse, texMetallicRoughness, ray.dir) * clamp(dot(macroNormal, ray.dir), 0.0, 1.0) / bsdfPdf;
-        envThroughput = evalSpecular(incident, macroNormal, texDiffuse, texMetallicRoughness, envDirPdf.xyz) * clamp(cosEnv, 0.0, 1.0) / envDirPdf.a;
-      } else if (mat.dielectric >= 0.0) {
-        bsdfPdf = 1.0;
-        bsdfThroughput = vec3(1);
-        envThroughput = vec3(0);
-        ray.origin = origin - macroNormal * EPSILON * 2.0;
-        ray.dir = refract(-incident, microNormal, ns.x / ns.y);
-        // This should be safe since total internal reflection will go through the specular path
-        i--;
-      } else {
-        ray.dir = sampleLambert(macroNormal);
-        bsdfPdf = lambertPdf(macroNormal, texMetallicRoughness, ray.dir);
-        bsdfThroughput = evalLambert(texDiffuse) * clamp(dot(macroNormal, ray.dir), 0.0, 1.0) / bsdfPdf;
-        envThroughput = evalLambert(texDiffuse) * clamp(cosEnv, 0.0, 1.0) / envDirPdf.a;
+      // Media a ray goes into or out of through this surface, when it's refracted or the surface is only a boundary
+      int mediumBehind = inside ? SCENE_MEDIUM : materialIndex;
+      if (isMediumBoundary(mat)) {
+        medium = mediumBehind;
+        travelled += result.t;
+        ray = Ray(offsetOrigin(origin, macroNormal, ray.dir), ray.dir);
+        result = intersectScene(ray);
+        continue;
+      }
+      if (vertex == 0) {
+        surface = Surface(texDiffuse, macroNormal, origin, travelled + result.t, vec3(result.instance, materialIndex, result.index), 1.0);
       }
 
-      //Apply some bad approximation of beers law if refracting
-      bsdfThroughput = inside ? max(vec3(1) - ((vec3(1) - texDiffuse) * result.t * mat.dielectric), vec3(0)) : bsdfThroughput;
+      vec3 emission = evalEmission(mat, texCoord);
+#if defined(USE_EXPLICIT) && NUM_LIGHTS > 0
+      float areaPdf = explicitPdf > 0.0 && mat.lightPdf > 0.0 ?
+        trianglePdf(result.instance, materialIndex - inst.materialOffset, result.index) : 0.0;
+      if (areaPdf > 0.0) {
+        vec3 geometricNormal = normalize(cross(tri.v2 - tri.v1, tri.v3 - tri.v1));
+        float cosLight = abs(dot(geometricNormal, ray.dir));
+        float lightDist = travelled + result.t;
+        float lightPdf = areaPdf * LIGHT_CHANCE * lightDist * lightDist / max(cosLight, EPSILON);
+        emission *= misWeights(explicitPdf, lightPdf).x;
+      }
+#endif
+      addRadiance(color, accumulatedReflectance * emission, vertex);
+      // Backs of opaque surfaces are shaded like their fronts
+      float eta = inside && mat.transmission > 0.0 ? 1.0 / mat.ior : mat.ior;
+      Bsdf bsdf = createBsdf(mat, macroNormal, barycentricTangent(baryWeights, normals, macroNormal), texDiffuse, texMetallicRoughness, eta);
+      int lobe;
+      bsdfThroughput = sampleBsdf(bsdf, incident, bsdfDir, bsdfPdf, lobe);
+      diffuseBounces += lobe == LOBE_DIFFUSE ? 1 : 0;
+      specularBounces += lobe == LOBE_SPECULAR ? 1 : 0;
+      transmissionBounces += lobe == LOBE_TRANSMISSION ? 1 : 0;
+
+      // Each kind of bounce has its own limit, the path ends at the first one it would go past
+      if (bsdfPdf <= 0.0 || diffuseBounces > MAX_DIFFUSE_BOUNCES || specularBounces > MAX_SPECULAR_BOUNCES ||
+          transmissionBounces > MAX_TRANSMISSION_BOUNCES) {
+        break;
+      }
+      bsdfThroughput *= abs(dot(macroNormal, bsdfDir)) / bsdfPdf;
+      scatter = Vertex(origin, incident, bsdf, 0.0, false, medium, mat.transmission > 0.0 ? mediumBehind : medium);
+    }
 
-      vec2 weights = misWeights(envDirPdf.a, bsdfPdf);
-      if (mat.dielectric < 0.0 && cosEnv > 0.0) {
-        Hit shadow = intersectScene(Ray(ray.origin, envDirPdf.xyz));
-        if (shadow.index == -1) {
-          color += accumulatedReflectance * envThroughput * envSample(envDirPdf.xyz) * weights.x;
+    vec4 envDirPdf = sampleEnv();
+    float envBsdfPdf;
+    vec3 envThroughput = evalVertex(scatter, envDirPdf.xyz, envBsdfPdf) / envDirPdf.a;
+    if (dot(envThroughput, envThroughput) > 0.0) {
+      vec3 transmittance;
+      Hit shadow = traceShadow(Ray(vertexOrigin(scatter, envDirPdf.xyz), envDirPdf.xyz), MAX_T, vertexMedium(scatter, envDirPdf.xyz), transmittance);
+      if (shadow.index == -1) {
+        addRadiance(color, accumulatedReflectance * envThroughput * transmittance * envSample(envDirPdf.xyz) * misWeights(envDirPdf.a, envBsdfPdf).x, vertex + 1);
+      }
+    }
+
+    explicitPdf = -1.0;
+#if LIGHT_CHOICES > 0
+    // Emission found past the last bounce is never added, so don't sample lights for it either
+    if (bounce < MAX_BOUNCES - 1) {
+      explicitPdf = bsdfPdf;
+      int choice = min(int(rnd() * float(LIGHT_CHOICES)), LIGHT_CHOICES - 1);
+#if NUM_ANALYTIC_LIGHTS > 0
+      if (choice < NUM_ANALYTIC_LIGHTS) {
+        DirectSample direct = sampleAnalyticLight(choice, origin);
+        float lightBsdfPdf;
+        vec3 lightThroughput = evalVertex(scatter, direct.dir, lightBsdfPdf);
+        if (dot(lightThroughput, lightThroughput) > 0.0 && dot(direct.radiance, direct.radiance) > 0.0) {
+          vec3 transmittance;
+          Hit shadow = traceShadow(Ray(vertexOrigin(scatter, direct.dir), direct.dir), direct.dist, vertexMedium(scatter, direct.dir), transmittance);
+          if (shadow.index == -1 || shadow.t > direct.dist) {
+            // Point and directional lights can't be found by bsdf samples, so this is all of their light
+            float lightPdf = direct.pdf * LIGHT_CHANCE;
+            vec3 lightRadiance = direct.pdf > 0.0 ? direct.radiance * misWeights(lightPdf, lightBsdfPdf).x / lightPdf : direct.radiance / LIGHT_CHANCE;
+            addRadiance(color, accumulatedReflectance * lightThroughput * transmittance * lightRadiance, vertex + 1);
+          }
         }
       }
+#endif
+#if MESH_LIGHTS > 0
+      if (choice == NUM_ANALYTIC_LIGHTS) {
+        LightSample light = sampleLight();
+        vec3 lightOrigin = vertexOrigin(scatter, light.point - origin);
+        vec3 toLight = light.point - lightOrigin;
+        float lightDist = length(toLight);
+        vec3 lightDir = toLight / lightDist;
+        float cosLight = abs(dot(light.normal, lightDir));
+        float lightBsdfPdf;
+        vec3 lightThroughput = evalVertex(scatter, lightDir, lightBsdfPdf);
+        if (dot(lightThroughput, lightThroughput) > 0.0 && cosLight > EPSILON) {
+          vec3 transmittance;
+          Hit shadow = traceShadow(Ray(lightOrigin, lightDir), lightDist, vertexMedium(scatter, lightDir), transmittance);
+          if (shadow.index == light.index && shadow.instance == light.instance) {
+            float lightPdf = light.pdf * LIGHT_CHANCE * lightDist * lightDist / cosLight;
+            vec3 lightRadiance = lightEmission(light.index, light.instance, light.weights) * misWeights(lightPdf, lightBsdfPdf).x;
+            addRadiance(color, accumulatedReflectance * lightThroughput * transmittance * lightRadiance / lightPdf, vertex + 1);
+          }
+        }
+      }
+#endif
+    }
+#endif
 
-      result = intersectScene(ray);
-      accumulatedReflectance *= bsdfThroughput;
-      if(result.index == -1){
-        color += accumulatedReflectance * envSample(ray.dir) * weights.y;
+    ray = Ray(vertexOrigin(scatter, bsdfDir), bsdfDir);
+    medium = vertexMedium(scatter, bsdfDir);
+    travelled = 0.0;
+    accumulatedReflectance *= bsdfThroughput;
+    // Russian roulette: dim paths are ended at random, and the survivors brightened by as much as was lost
+    if (bounce >= MIN_BOUNCES) {
+      float survival = min(max(accumulatedReflectance.r, max(accumulatedReflectance.g, accumulatedReflectance.b)), 0.95);
+      if (rnd() >= survival) {
         break;
       }
+      accumulatedReflectance /= survival;
     }
+    result = intersectScene(ray);
+    vertex++;
   }
   color = clamp(color, 0.0, 1024.0);
-  vec3 tcolor = texelFetch(fbTex, ivec2(gl_FragCoord), 0).rgb;
-  fragColor = vec4((color + (tcolor * float(tick)))/(float(tick)+1.0), 1.0);
+  float luminance = sampleLuminance(color);
+  fragColor = mix(previous, vec4(color, luminance * luminance), sampleWeight);
+#ifdef AOV_ALBEDO
+  albedoOut = accumulateAov(AOV_ALBEDO, vec4(surface.albedo, surface.coverage));
+#endif
+#ifdef AOV_NORMAL
+  normalOut = accumulateAov(AOV_NORMAL, vec4(surface.normal, surface.coverage));
+#endif
+#ifdef AOV_DEPTH
+  depthOut = accumulateAov(AOV_DEPTH, vec4(vec3(surface.depth), surface.coverage));
+#endif
+#ifdef AOV_POSITION
+  positionOut = accumulateAov(AOV_POSITION, vec4(surface.position, surface.coverage));
+#endif
+#ifdef AOV_ID
+  // Averaged ids would name nothing, so every pixel keeps the first sample's
+  idOut = tick == 0u ? vec4(surface.id, surface.coverage) : previousAov(AOV_ID);
+#endif
+#ifdef AOV_DIRECT
+  directOut = accumulateAov(AOV_DIRECT, vec4(clamp(lightPaths[1], 0.0, 1024.0), 1.0));
+#endif
+#ifdef AOV_INDIRECT
+  indirectOut = accumulateAov(AOV_INDIRECT, vec4(clamp(lightPaths[2], 0.0, 1024.0), 1.0));
+#endif
+#ifdef AOV_EMISSION
+  emissionOut = accumulateAov(AOV_EMISSION, vec4(clamp(lightPaths[0], 0.0, 1024.0), 1.0));
+#endif
 }
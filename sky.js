@@ -0,0 +1,129 @@
+// A procedural daylight sky for scenes whose "environment" is {"type": "sky", ...}, after Preetham, Shirley and Smits,
+// "A Practical Analytic Model for Daylight". It is baked to an equirectangular map like the HDRIs the tracer
+// loads, so the same importance sampling applies. Radiance is in kilocandelas per square metre, and the ground below
+// the horizon is a diffuse plane lit by the sky.
+
+const degrees = Math.PI / 180;
+
+const defaults = {
+  elevation: 45,
+  azimuth: 0,
+  turbidity: 3,
+  groundAlbedo: 0.3,
+  intensity: 1,
+  width: 512
+};
+
+// Perez distribution coefficients for luminance and the two chromaticities, as [slope, offset] in turbidity
+const perezCoefficients = {
+  Y: [[0.1787, -1.4630], [-0.3554, 0.4275], [-0.0227, 5.3251], [0.1206, -2.5771], [-0.0670, 0.3703]],
+  x: [[-0.0193, -0.2592], [-0.0665, 0.0008], [-0.0004, 0.2125], [-0.0641, -0.8989], [-0.0033, 0.0452]],
+  y: [[-0.0167, -0.2608], [-0.0950, 0.0092], [-0.0079, 0.2102], [-0.0441, -1.6537], [-0.0109, 0.0529]]
+};
+
+// Zenith chromaticity, as turbidity², turbidity and 1 terms of cubics in the sun's zenith angle
+const zenithChromaticity = {
+  x: [[0.00166, -0.00375, 0.00209, 0], [-0.02903, 0.06377, -0.03202, 0.00394], [0.11693, -0.21196, 0.06052, 0.25886]],
+  y: [[0.00275, -0.00610, 0.00317, 0], [-0.04214, 0.08970, -0.04153, 0.00516], [0.15346, -0.26756, 0.06670, 0.26688]]
+};
+
+export function isSky(environment) {
+  return !!environment && environment.type === 'sky';
+}
+
+function getSettings(sky) {
+  return Object.assign({}, defaults, sky);
+}
+
+function perez(coefs, cosTheta, gamma) {
+  let [a, b, c, d, e] = coefs;
+  let cosGamma = Math.cos(gamma);
+  return (1 + a * Math.exp(b / Math.max(cosTheta, 0.01))) * (1 + c * Math.exp(d * gamma) + e * cosGamma * cosGamma);
+}
+
+function zenithValue(terms, turbidity, thetaSun) {
+  let cubic = (t) => { return ((t[0] * thetaSun + t[1]) * thetaSun + t[2]) * thetaSun + t[3] };
+  return turbidity * turbidity * cubic(terms[0]) + turbidity * cubic(terms[1]) + cubic(terms[2]);
+}
+
+function xyYToRgb(x, y, luminance) {
+  let X = x / y * luminance;
+  let Z = (1 - x - y) / y * luminance;
+  return [
+    Math.max(3.2406 * X - 1.5372 * luminance - 0.4986 * Z, 0),
+    Math.max(-0.9689 * X + 1.8758 * luminance + 0.0415 * Z, 0),
+    Math.max(0.0557 * X - 0.2040 * luminance + 1.0570 * Z, 0)
+  ];
+}
+
+// The direction of the map's pixel centre, laid out the way sampleEnv reads it before the map is turned by envTheta
+function pixelDirection(x, y, width, height) {
+  let theta = (x + 0.5) / width * Math.PI * 2;
+  let phi = (y + 0.5) / height * Math.PI;
+  return [Math.cos(theta) * Math.sin(phi), Math.cos(phi), Math.sin(theta) * Math.sin(phi)];
+}
+
+/**
+ * The direction the sky's sun shines from, in the world once the environment is turned by envTheta.
+ * elevation is in degrees above the horizon and azimuth in degrees from the x-axis towards the z-axis.
+ */
+export function getSunDirection(sky, envTheta = 0) {
+  let settings = getSettings(sky);
+  let elevation = settings.elevation * degrees;
+  let azimuth = settings.azimuth * degrees - envTheta * Math.PI * 2;
+  return [Math.cos(azimuth) * Math.cos(elevation), Math.sin(elevation), Math.sin(azimuth) * Math.cos(elevation)];
+}
+
+/**
+ * Bakes the sky to a {width, height, data} record of linear RGB floats, twice as wide as it is tall, like a
+ * decoded .hdr.
+ */
+export function bakeSky(sky) {
+  let settings = getSettings(sky);
+  let turbidity = Math.max(settings.turbidity, 1);
+  let width = settings.width;
+  let height = Math.ceil(width / 2);
+  // The model only holds for suns above the horizon
+  let sun = getSunDirection(Object.assign({}, settings, { elevation: Math.min(Math.max(settings.elevation, 0), 90) }));
+  let thetaSun = Math.acos(sun[1]);
+  let coefs = {};
+  for (let channel in perezCoefficients) {
+    coefs[channel] = perezCoefficients[channel].map((c) => { return c[0] * turbidity + c[1] });
+  }
+  let chi = (4 / 9 - turbidity / 120) * (Math.PI - 2 * thetaSun);
+  let zenith = {
+    Y: (4.0453 * turbidity - 4.9710) * Math.tan(chi) - 0.2155 * turbidity + 2.4192,
+    x: zenithValue(zenithChromaticity.x, turbidity, thetaSun),
+    y: zenithValue(zenithChromaticity.y, turbidity, thetaSun)
+  };
+  let skyValue = (channel, cosTheta, gamma) => {
+    return zenith[channel] * perez(coefs[channel], cosTheta, gamma) / perez(coefs[channel], 1, thetaSun);
+  };
+
+  let colors = new Float32Array(width * height * 3);
+  let irradiance = [0, 0, 0];
+  for (let y = 0; y < height; y++) {
+    let phi = (y + 0.5) / height * Math.PI;
+    let solidAngle = Math.sin(phi) * (Math.PI / height) * (Math.PI * 2 / width);
+    for (let x = 0; x < width && phi < Math.PI / 2; x++) {
+      let dir = pixelDirection(x, y, width, height);
+      let gamma = Math.acos(Math.min(Math.max(dir[0] * sun[0] + dir[1] * sun[1] + dir[2] * sun[2], -1), 1));
+      let color = xyYToRgb(skyValue('x', dir[1], gamma), skyValue('y', dir[1], gamma), skyValue('Y', dir[1], gamma));
+      colors.set(color, (y * width + x) * 3);
+      for (let i = 0; i < 3; i++) {
+        irradiance[i] += color[i] * dir[1] * solidAngle;
+      }
+    }
+  }
+  let albedo = settings.groundAlbedo;
+  albedo = Array.isArray(albedo) ? albedo : [albedo, albedo, albedo];
+  let ground = irradiance.map((e, i) => { return albedo[i] * e / Math.PI });
+
+  for (let i = 0; i < width * height; i++) {
+    let below = (Math.floor(i / width) + 0.5) / height > 0.5;
+    for (let c = 0; c < 3; c++) {
+      colors[i * 3 + c] = (below ? ground[c] : colors[i * 3 + c]) * settings.intensity;
+    }
+  }
+  return { width: width, height: height, data: colors };
+}
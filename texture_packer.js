@@ -6,19 +6,25 @@ export class TexturePacker {
   constructor(atlasRes) {
     this.res = atlasRes;
     this.imageSet = [];
+    // The RGBA factor each texture is multiplied by, if any
+    this.factors = [];
     this.imageKeys = {};
     this.maxRes = 1;
   }
 
-  addTexture(image, corrected) {
-    if (this.imageKeys[image.currentSrc]) {
-      return this.imageKeys[image.currentSrc]
+  // factor is an RGBA multiplier, like a glTF base color factor, and each one gets its own copy of the image
+  addTexture(image, corrected, factor) {
+    let tinted = factor && factor.some((c) => { return c !== 1 });
+    let key = tinted ? image.currentSrc + ' ' + factor.join(' ') : image.currentSrc;
+    if (this.imageKeys[key]) {
+      return this.imageKeys[key]
     } else {
       this.maxRes = Math.max(this.maxRes, image.height);
       image.corrected = corrected;
       this.imageSet.push(image);
-      this.imageKeys[image.currentSrc] = this.imageSet.length - 1;
-      return this.imageKeys[image.currentSrc];
+      this.factors[this.imageSet.length - 1] = tinted ? factor : null;
+      this.imageKeys[key] = this.imageSet.length - 1;
+      return this.imageKeys[key];
     }
   }
 
@@ -33,6 +39,38 @@ export class TexturePacker {
     }
   }
 
+  // Enough to rebuild the atlas from the original images, used by compiled scene bundles
+  getDescriptors() {
+    return this.imageSet.map((img, i) => {
+      if (Array.isArray(img)) {
+        return { color: img };
+      }
+      return { url: img.currentSrc, corrected: !!img.corrected, swizzle: img.swizzle || null, factor: this.factors[i] || null };
+    });
+  }
+
+  static fromDescriptors(atlasRes, descriptors, assets) {
+    let packer = new TexturePacker(atlasRes);
+    descriptors.forEach((descriptor) => {
+      if (descriptor.color) {
+        packer.imageSet.push(descriptor.color);
+      } else {
+        let img = assets[descriptor.url];
+        img.swizzle = descriptor.swizzle || undefined;
+        img.corrected = descriptor.corrected;
+        packer.factors[packer.imageSet.length] = descriptor.factor || null;
+        packer.imageSet.push(img);
+      }
+    });
+    return packer;
+  }
+
+  canPack() {
+    return typeof document !== 'undefined' || this.imageSet.every((img) => {
+      return Array.isArray(img) || !!img.data;
+    });
+  }
+
   setAndGetResolution() {
     if (this.maxRes < this.res) {
       console.log("Using texture dimensions of " + this.maxRes + "px instead of specified " + this.res + "px.")
@@ -43,14 +81,14 @@ export class TexturePacker {
 
   getPixels() {
     let time = new Date().getTime();
-    let glWriter = new WebGLTextureWriter(this.res);
+    let glWriter = typeof document === 'undefined' ? new CPUTextureWriter(this.res) : new WebGLTextureWriter(this.res);
     let pixels = new Uint8Array(this.res * this.res * 4 * this.imageSet.length);
     for (let i = 0; i < this.imageSet.length; i++) {
       let img = this.imageSet[i];
       if (Array.isArray(img)) {
         glWriter.setAndDrawColor(img);
       } else {
-        glWriter.setAndDrawTexture(img);
+        glWriter.setAndDrawTexture(img, this.factors[i] || [1, 1, 1, 1]);
       }
 
       let pixBuffer = glWriter.getPixels();
@@ -72,6 +110,8 @@ class WebGLTextureWriter {
     let gl = this.gl = this.canvasElement.getContext("webgl2", {
         preserveDrawingBuffer: true,
         antialias: false,
+        // Alpha is the opacity the tracer tests hits against, and is kept as is
+        premultipliedAlpha: false,
         powerPreference: "high-performance"
     });
 
@@ -104,6 +144,7 @@ class WebGLTextureWriter {
     precision highp float;
     uniform vec2 dims;
     uniform uvec4 swizzle;
+    uniform vec4 factor;
     uniform sampler2D tex;
     
     out vec4 fragColor;
@@ -117,12 +158,12 @@ class WebGLTextureWriter {
       c[1] = copy[swizzle[1]];
       c[2] = copy[swizzle[2]];
       c[3] = copy[swizzle[3]];
-      fragColor = vec4(c.rgb * c.a, 1.0);
+      fragColor = c * factor;
     }`;
     let fs = getShader(fsStr, "FRAGMENT_SHADER");
     let vs = getShader(vsStr, "VERTEX_SHADER");
     this.program = gl.createProgram();
-    let uniforms = ["tex", "swizzle", "dims"];
+    let uniforms = ["tex", "swizzle", "factor", "dims"];
     let attributes = ["corner"]
     this.program.uniforms = {};
     this.program.attributes = {};
@@ -152,11 +193,11 @@ class WebGLTextureWriter {
   setAndDrawColor(color) {
     let gl = this.gl;
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.clearColor(color[0], color[1], color[2], 1.0);
+    gl.clearColor(color[0], color[1], color[2], color.length > 3 ? color[3] : 1.0);
     gl.clear(gl.COLOR_BUFFER_BIT);
   }
 
-  setAndDrawTexture(img) {
+  setAndDrawTexture(img, factor) {
     let gl = this.gl;
     gl.bindTexture(gl.TEXTURE_2D, this.tex);
     if (img.corrected) {
@@ -171,6 +212,7 @@ class WebGLTextureWriter {
     gl.uniform1i(this.program.uniforms.tex, 0);
     gl.uniform2f(this.program.uniforms.dims, this.res, this.res);
     gl.uniform4uiv(this.program.uniforms.swizzle, img.swizzle || [0, 1, 2, 3])
+    gl.uniform4fv(this.program.uniforms.factor, factor);
     gl.activeTexture(gl.TEXTURE0);
     gl.drawArrays(gl.TRIANGLES, 0, 3);
   }
@@ -182,4 +224,64 @@ class WebGLTextureWriter {
     gl.readPixels(0, 0, this.canvasElement.width, this.canvasElement.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels, 0);
     return pixels; 
   }
-}
\ No newline at end of file
+}
+
+// Software version of WebGLTextureWriter for hosts without WebGL. Images must be decoded {width, height, data} records.
+class CPUTextureWriter {
+  constructor(atlasRes) {
+    this.res = atlasRes;
+    this.pixels = new Uint8Array(atlasRes * atlasRes * 4);
+    this.srgbTable = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i / 255;
+      this.srgbTable[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+  }
+
+  setAndDrawColor(color) {
+    for (let i = 0; i < this.pixels.length; i += 4) {
+      for (let j = 0; j < 4; j++) {
+        this.pixels[i + j] = Math.round(Math.min(Math.max(j < color.length ? color[j] : 1, 0), 1) * 255);
+      }
+    }
+  }
+
+  setAndDrawTexture(img, factor) {
+    let swizzle = img.swizzle || [0, 1, 2, 3];
+    let texel = [0, 0, 0, 0];
+    let fetch = (x, y, weight) => {
+      // Wrap horizontally and clamp vertically like the WebGL writer's sampler
+      x = ((x % img.width) + img.width) % img.width;
+      y = Math.min(Math.max(y, 0), img.height - 1);
+      let offset = (y * img.width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        let value = img.data[offset + c];
+        texel[c] += weight * (img.corrected && c < 3 ? this.srgbTable[value] : value / 255);
+      }
+    };
+    for (let y = 0; y < this.res; y++) {
+      // Rows are written bottom up, which flips the image just like the fragment shader does
+      let ty = (1 - (y + 0.5) / this.res) * img.height - 0.5;
+      let y0 = Math.floor(ty);
+      let fy = ty - y0;
+      for (let x = 0; x < this.res; x++) {
+        let tx = (x + 0.5) / this.res * img.width - 0.5;
+        let x0 = Math.floor(tx);
+        let fx = tx - x0;
+        texel[0] = texel[1] = texel[2] = texel[3] = 0;
+        fetch(x0, y0, (1 - fx) * (1 - fy));
+        fetch(x0 + 1, y0, fx * (1 - fy));
+        fetch(x0, y0 + 1, (1 - fx) * fy);
+        fetch(x0 + 1, y0 + 1, fx * fy);
+        let offset = (y * this.res + x) * 4;
+        for (let c = 0; c < 4; c++) {
+          this.pixels[offset + c] = Math.round(Math.min(Math.max(texel[swizzle[c]] * factor[c], 0), 1) * 255);
+        }
+      }
+    }
+  }
+
+  getPixels() {
+    return this.pixels;
+  }
+}
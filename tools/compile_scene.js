@@ -0,0 +1,48 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import * as Utility from '../utility.js';
+import * as SceneCompiler from '../scene_compiler.js';
+import { writeBundle } from '../bundle.js';
+import { createNodeAssetLoader } from './node_assets.js';
+
+// Usage: node tools/compile_scene.js scene/bunny.json [output.fspt]
+// Paths in the scene are resolved against the repository root, like the browser resolves them against the server root.
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+async function main(args) {
+    if (args.length < 1) {
+        console.log("Usage: node tools/compile_scene.js <scene.json> [output.fspt]");
+        process.exit(1);
+    }
+    let scenePath = path.relative(root, path.resolve(args[0])).split(path.sep).join('/');
+    let outPath = args[1] || path.join(root, scenePath.replace(/\.json$/, '.fspt'));
+    let loader = createNodeAssetLoader(root);
+    Utility.setAssetLoader(loader);
+
+    let time = new Date().getTime();
+    let sceneText = await loader.getText(scenePath);
+    let scene = JSON.parse(sceneText);
+    let assets = await loader.loadAll(Array.from(SceneCompiler.getSceneUrls(scene)));
+    let compiled = await SceneCompiler.compileScene(scene, assets, sceneText);
+
+    if (!compiled.atlas.pixels) {
+        // The browser can only pack textures it can fetch by url
+        for (let texture of compiled.atlas.textures) {
+            if (texture.url && !(await loader.getBinary(texture.url))) {
+                throw new Error("Couldn't decode embedded texture " + texture.url + ", install jpeg-js to compile this scene");
+            }
+        }
+        console.log("Some textures couldn't be decoded, the browser will pack the atlas");
+    }
+
+    let bundle = writeBundle(compiled);
+    await fs.writeFile(outPath, bundle);
+    console.log("Wrote", outPath, (bundle.byteLength / 1048576).toFixed(2), "MB in", (new Date().getTime() - time) / 1000.0, "seconds");
+}
+
+main(process.argv.slice(2)).catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,212 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import * as zlib from 'zlib';
+
+// Stand-ins for the browser's XHR and Image loading so the scene modules can run under Node.
+// Images become {currentSrc, width, height, data} records with RGBA8 data, the same shape TexturePacker
+// and loadEnvironment accept when there is no DOM.
+
+const imagePattern = /(\.png$)|(\.bmp$)|(\.jpg$)|(\.jpeg$)/;
+const binaryPattern = /(\.glb$)|(\.bin$)|(\.fspt$)|(\.hdr$)|(\.exr$)|(\.vol$)/;
+
+let jpegDecoder;
+
+// jpeg-js is optional, without it JPEG textures are left for the browser to pack
+async function getJpegDecoder() {
+    if (jpegDecoder === undefined) {
+        try {
+            jpegDecoder = (await import('jpeg-js')).default;
+        } catch (e) {
+            jpegDecoder = null;
+        }
+    }
+    return jpegDecoder;
+}
+
+function paethPredictor(a, b, c) {
+    let p = a + b - c;
+    let pa = Math.abs(p - a);
+    let pb = Math.abs(p - b);
+    let pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
+
+export function decodePng(bytes) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    let header;
+    let palette = null;
+    let transparency = null;
+    let chunks = [];
+    while (offset < bytes.length) {
+        let length = view.getUint32(offset);
+        let type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        let data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(offset + 8),
+                height: view.getUint32(offset + 12),
+                depth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+    if (header.interlace) {
+        throw new Error("Interlaced PNGs are not supported");
+    }
+
+    let channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+    let bitsPerPixel = channels * header.depth;
+    let bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    let stride = Math.ceil(header.width * bitsPerPixel / 8);
+    let raw = zlib.inflateSync(Buffer.concat(chunks));
+    let scanlines = new Uint8Array(stride * header.height);
+    for (let y = 0; y < header.height; y++) {
+        let filter = raw[y * (stride + 1)];
+        let src = y * (stride + 1) + 1;
+        let dst = y * stride;
+        for (let x = 0; x < stride; x++) {
+            let a = x >= bytesPerPixel ? scanlines[dst + x - bytesPerPixel] : 0;
+            let b = y > 0 ? scanlines[dst + x - stride] : 0;
+            let c = x >= bytesPerPixel && y > 0 ? scanlines[dst + x - stride - bytesPerPixel] : 0;
+            let value = raw[src + x];
+            switch (filter) {
+                case 1: value += a; break;
+                case 2: value += b; break;
+                case 3: value += (a + b) >> 1; break;
+                case 4: value += paethPredictor(a, b, c); break;
+            }
+            scanlines[dst + x] = value;
+        }
+    }
+
+    let maxValue = (1 << header.depth) - 1;
+    function sample(y, index) {
+        let row = y * stride;
+        if (header.depth === 16) {
+            return scanlines[row + index * 2];
+        }
+        if (header.depth === 8) {
+            return scanlines[row + index];
+        }
+        let bit = index * header.depth;
+        let value = (scanlines[row + (bit >> 3)] >> (8 - header.depth - (bit & 7))) & maxValue;
+        return header.colorType === 3 ? value : Math.round(value * 255 / maxValue);
+    }
+
+    let data = new Uint8Array(header.width * header.height * 4);
+    for (let y = 0; y < header.height; y++) {
+        for (let x = 0; x < header.width; x++) {
+            let out = (y * header.width + x) * 4;
+            let s = x * channels;
+            if (header.colorType === 3) {
+                let index = sample(y, s);
+                data.set(palette.subarray(index * 3, index * 3 + 3), out);
+                data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (channels < 3) {
+                data.fill(sample(y, s), out, out + 3);
+                data[out + 3] = channels === 2 ? sample(y, s + 1) : 255;
+            } else {
+                data[out] = sample(y, s);
+                data[out + 1] = sample(y, s + 1);
+                data[out + 2] = sample(y, s + 2);
+                data[out + 3] = channels === 4 ? sample(y, s + 3) : 255;
+            }
+        }
+    }
+    return { width: header.width, height: header.height, data: data };
+}
+
+// Scans for the start of frame marker so undecoded JPEGs still report their size to the packer
+function jpegSize(bytes) {
+    let offset = 2;
+    while (offset < bytes.length) {
+        let marker = bytes[offset + 1];
+        let length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+            };
+        }
+        offset += length + 2;
+    }
+    throw new Error("Couldn't find JPEG dimensions");
+}
+
+export async function decodeImage(bytes, mimeType, name) {
+    bytes = new Uint8Array(bytes.buffer || bytes, bytes.byteOffset || 0, bytes.byteLength);
+    let image;
+    if (mimeType === 'image/png') {
+        image = decodePng(bytes);
+    } else if (mimeType === 'image/jpeg') {
+        let decoder = await getJpegDecoder();
+        if (decoder) {
+            let decoded = decoder.decode(bytes, { useTArray: true, formatAsRGBA: true });
+            image = { width: decoded.width, height: decoded.height, data: decoded.data };
+        } else {
+            image = jpegSize(bytes);
+        }
+    } else {
+        throw new Error("Unsupported image type " + mimeType + " for " + name);
+    }
+    image.currentSrc = name;
+    return image;
+}
+
+function getMimeType(url) {
+    return url.toLowerCase().match(/(\.jpg$)|(\.jpeg$)/) ? 'image/jpeg' : 'image/png';
+}
+
+// Resolves urls against root the way a static server at root would, ignoring query strings
+export function createNodeAssetLoader(root) {
+    function resolve(url) {
+        return path.join(root, url.split('?')[0]);
+    }
+
+    async function load(url) {
+        let bytes = await fs.readFile(resolve(url));
+        let file = url.split('?')[0].toLowerCase();
+        if (file.match(imagePattern)) {
+            return decodeImage(bytes, getMimeType(file), url);
+        } else if (file.match(binaryPattern)) {
+            return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+        }
+        return bytes.toString('utf8');
+    }
+
+    return {
+        async loadAll(urls) {
+            let resHash = {};
+            for (let url of urls) {
+                resHash[url] = await load(url);
+            }
+            return resHash;
+        },
+        async getText(url) {
+            return (await fs.readFile(resolve(url))).toString('utf8');
+        },
+        async getBinary(url) {
+            try {
+                let bytes = await fs.readFile(resolve(url));
+                return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+            } catch (e) {
+                return null;
+            }
+        },
+        decodeImage: decodeImage
+    };
+}
@@ -0,0 +1,301 @@
+import * as http from 'http';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+// Usage: node tools/render_server.js [--port 8000] [--out renders] [--timeout 1800] [--max-upload 1024]
+//        [scene[:first-last] ...]
+// Serves the app and collects the frames browsers render. Open http://localhost:8000/render/<scene> in any number of
+// tabs or machines and each is handed its own frames until the scene's range is done. Frames already on disk are
+// skipped, so a stopped render resumes where it left off.
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const mimeTypes = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.css': 'text/css',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.bmp': 'image/bmp',
+    '.exr': 'image/x-exr',
+    '.hdr': 'image/vnd.radiance'
+};
+
+// Uploads are written with the extension of their content type
+const frameExtensions = {
+    'image/png': '.png',
+    'image/x-exr': '.exr',
+    'image/vnd.radiance': '.hdr'
+};
+
+const scenePattern = /^[a-zA-Z0-9_]+$/;
+const aovPattern = /^[a-z]+$/;
+const framePattern = /^\d+$/;
+
+function frameName(frame) {
+    return String(frame).padStart(5, '0');
+}
+
+// A scene's frame range. Frames are leased to one browser at a time, and leases that outlive the timeout are handed
+// out again in case the browser rendering them went away.
+class FrameQueue {
+    constructor(scene, first, last, outDir, timeout) {
+        this.scene = scene;
+        this.first = first;
+        this.last = last;
+        this.outDir = outDir;
+        this.timeout = timeout;
+        this.done = new Set();
+        this.leases = new Map();
+    }
+
+    async scan() {
+        await fs.mkdir(this.outDir, { recursive: true });
+        for (let file of await fs.readdir(this.outDir)) {
+            let match = file.match(/^(\d+)\.(png|exr|hdr)$/);
+            if (match) {
+                this.done.add(parseInt(match[1]));
+            }
+        }
+        return this;
+    }
+
+    lease() {
+        let now = Date.now();
+        for (let frame = this.first; frame <= this.last; frame++) {
+            let leased = this.leases.get(frame);
+            if (!this.done.has(frame) && (leased === undefined || now - leased > this.timeout)) {
+                this.leases.set(frame, now);
+                return frame;
+            }
+        }
+        return null;
+    }
+
+    complete(frame) {
+        this.leases.delete(frame);
+        this.done.add(frame);
+    }
+
+    progress() {
+        let done = 0;
+        for (let frame = this.first; frame <= this.last; frame++) {
+            done += this.done.has(frame) ? 1 : 0;
+        }
+        return {
+            first: this.first,
+            last: this.last,
+            done: done,
+            total: this.last - this.first + 1,
+            rendering: Array.from(this.leases.keys()).sort((a, b) => { return a - b })
+        };
+    }
+}
+
+function parseArgs(args) {
+    let options = { port: 8000, out: 'renders', timeout: 1800, maxUpload: 1024, scenes: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') {
+            options.port = parseInt(args[++i]);
+        } else if (args[i] === '--out') {
+            options.out = args[++i];
+        } else if (args[i] === '--timeout') {
+            options.timeout = parseFloat(args[++i]);
+        } else if (args[i] === '--max-upload') {
+            options.maxUpload = parseFloat(args[++i]);
+        } else {
+            let match = args[i].match(/^([a-zA-Z0-9_]+)(?::(\d+)(?:-(\d+))?)?$/);
+            if (!match) {
+                throw new Error("Expected scene[:first-last], got " + args[i]);
+            }
+            options.scenes.push({
+                name: match[1],
+                first: match[2] === undefined ? null : parseInt(match[2]),
+                last: match[3] === undefined ? (match[2] === undefined ? null : parseInt(match[2])) : parseInt(match[3])
+            });
+        }
+    }
+    return options;
+}
+
+// Resolves null for bodies longer than limit, whose rest is read and dropped so the request can still be answered
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let length = 0;
+        req.on('data', (chunk) => {
+            length += chunk.length;
+            if (length <= limit) {
+                chunks.push(chunk);
+            } else {
+                chunks = null;
+            }
+        });
+        req.on('end', () => { resolve(chunks && Buffer.concat(chunks)) });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, value) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(value));
+}
+
+function createRenderServer(options) {
+    let outRoot = path.resolve(root, options.out);
+    let maxUploadBytes = options.maxUpload * 1024 * 1024;
+    let queues = new Map();
+
+    async function sceneExists(scene) {
+        if (queues.has(scene)) {
+            return true;
+        }
+        try {
+            await fs.access(path.join(root, 'scene', scene + '.json'));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Without a range, a scene renders the frames its json asks for, or just frame 0
+    async function getQueue(scene, first = null, last = null) {
+        if (!queues.has(scene)) {
+            if (first === null) {
+                let json = JSON.parse(await fs.readFile(path.join(root, 'scene', scene + '.json'), 'utf8'));
+                first = 0;
+                last = Math.max(0, (json.frames || 1) - 1);
+            }
+            let queue = new FrameQueue(scene, first, last, path.join(outRoot, scene), options.timeout * 1000);
+            queues.set(scene, await queue.scan());
+            let progress = queue.progress();
+            console.log(scene + ":", "frames", first, "to", last + ",", progress.done, "already rendered");
+        }
+        return queues.get(scene);
+    }
+
+    async function serveFile(url, res) {
+        let file = path.join(root, decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname));
+        if (path.relative(root, file).startsWith('..')) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        try {
+            let data = await fs.readFile(file);
+            let type = mimeTypes[path.extname(file).toLowerCase()] || 'application/octet-stream';
+            res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+            res.end(data);
+        } catch (e) {
+            res.writeHead(404);
+            res.end();
+        }
+    }
+
+    // Sends the browser to the app at the next unrendered frame, keeping any other parameters like res and mode
+    async function render(scene, url, res) {
+        let frame = (await getQueue(scene)).lease();
+        if (frame === null) {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end("Every frame of " + scene + " is rendered or being rendered");
+            return;
+        }
+        let params = new URLSearchParams(url.search);
+        params.set('scene', scene);
+        params.set('frame', frame);
+        res.writeHead(302, { 'Location': '/?' + params.toString() });
+        res.end();
+    }
+
+    // The response names the frame the uploading browser should render next, null when there are none left.
+    // AOVs are written next to their frame, as 00012.albedo.exr, and only the image itself completes a frame.
+    async function upload(scene, frame, aov, req, res) {
+        let queue = await getQueue(scene);
+        if (frame < queue.first || frame > queue.last) {
+            let range = queue.first + " to " + queue.last;
+            sendJson(res, 400, { error: "Frame " + frame + " isn't one of " + scene + "'s frames, " + range });
+            return;
+        }
+        let extension = frameExtensions[(req.headers['content-type'] || '').split(';')[0]] || '.png';
+        let file = path.join(queue.outDir, frameName(frame) + (aov ? '.' + aov : '') + extension);
+        let body = await readBody(req, maxUploadBytes);
+        if (body === null) {
+            sendJson(res, 413, { error: "Uploads can be at most " + options.maxUpload + "MB" });
+            return;
+        }
+        await fs.writeFile(file + '.part', body);
+        await fs.rename(file + '.part', file);
+        if (aov) {
+            console.log(scene + ":", "wrote", path.relative(root, file));
+            sendJson(res, 200, {});
+            return;
+        }
+        queue.complete(frame);
+        let progress = queue.progress();
+        console.log(scene + ":", "wrote", path.relative(root, file) + ",", progress.done + "/" + progress.total, "frames done");
+        sendJson(res, 200, { next: queue.lease() });
+    }
+
+    async function handle(req, res) {
+        let url = new URL(req.url, 'http://localhost');
+        let parts = url.pathname.split('/').filter((part) => { return part.length > 0 });
+        let scene = parts[1];
+        let isUpload = parts[0] === 'upload' && (parts.length === 3 || (parts.length === 4 && parts[3].match(aovPattern)));
+        let isRender = parts[0] === 'render' && parts.length === 2;
+        if ((isUpload || isRender) && scene.match(scenePattern) && !(await sceneExists(scene))) {
+            sendJson(res, 404, { error: "There's no scene " + scene });
+            return;
+        }
+        if (req.method === 'POST' && isUpload && scene.match(scenePattern)) {
+            if (!parts[2].match(framePattern)) {
+                sendJson(res, 400, { error: "Expected a frame number, got " + parts[2] });
+                return;
+            }
+            await upload(scene, parseInt(parts[2]), parts[3], req, res);
+        } else if (req.method === 'GET' && isRender && scene.match(scenePattern)) {
+            await render(scene, url, res);
+        } else if (req.method === 'GET' && parts[0] === 'progress' && parts.length === 1) {
+            let progress = {};
+            queues.forEach((queue, name) => { progress[name] = queue.progress() });
+            sendJson(res, 200, progress);
+        } else if (req.method === 'GET') {
+            await serveFile(url, res);
+        } else {
+            res.writeHead(405);
+            res.end();
+        }
+    }
+
+    let server = http.createServer((req, res) => {
+        handle(req, res).catch((e) => {
+            console.error(e);
+            if (!res.headersSent) {
+                res.writeHead(500);
+            }
+            res.end(String(e));
+        });
+    });
+    return { server: server, getQueue: getQueue };
+}
+
+async function main(args) {
+    let options = parseArgs(args);
+    let { server, getQueue } = createRenderServer(options);
+    for (let scene of options.scenes) {
+        await getQueue(scene.name, scene.first, scene.last);
+    }
+    server.listen(options.port, () => {
+        console.log("Serving", root, "at http://localhost:" + options.port);
+        options.scenes.forEach((scene) => {
+            console.log("Render", scene.name, "at http://localhost:" + options.port + "/render/" + scene.name);
+        });
+    });
+}
+
+main(process.argv.slice(2)).catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -1,4 +1,14 @@
+let assetLoader = null;
+
+// Hosts without a DOM, like the Node scene compiler, supply their own loadAll, getText, getBinary and decodeImage
+export function setAssetLoader(loader) {
+  assetLoader = loader;
+}
+
 export async function loadAll(urls) {
+  if (assetLoader) {
+    return assetLoader.loadAll(urls);
+  }
   return new Promise(resolve => {
     let counter = urls.length;
     let resHash = {};
@@ -15,9 +25,13 @@ export async function loadAll(urls) {
         img.src = url;
       } else {
         let req = new XMLHttpRequest();
+        let binary = !!url.toLowerCase().match(/(\.glb$)|(\.bin$)|(\.hdr$)|(\.exr$)|(\.vol$)/);
+        if (binary) {
+          req.responseType = "arraybuffer";
+        }
         req.addEventListener("load", function (res) {
           counter--;
-          resHash[url] = res.target.responseText;
+          resHash[url] = binary ? res.target.response : res.target.responseText;
           if (counter === 0) {
             resolve(resHash);
           }
@@ -33,6 +47,9 @@ export async function loadAll(urls) {
 }
 
 export async function getText(path) {
+  if (assetLoader) {
+    return assetLoader.getText(path);
+  }
   return new Promise(resolve => {
     let req = new XMLHttpRequest();
     req.addEventListener("load", function (res) {
@@ -43,11 +60,65 @@ export async function getText(path) {
   });
 }
 
-export function uploadDataUrl(path, blob, callback) {
+// Resolves null when the file doesn't exist
+export async function getBinary(path) {
+  if (assetLoader) {
+    return assetLoader.getBinary(path);
+  }
+  return new Promise(resolve => {
+    let req = new XMLHttpRequest();
+    req.responseType = "arraybuffer";
+    req.addEventListener("load", function (res) {
+      resolve(res.target.status < 400 ? res.target.response : null);
+    });
+    req.addEventListener("error", function () {
+      resolve(null);
+    });
+    req.open("GET", path, true);
+    req.send();
+  });
+}
+
+// name identifies the image where there is no object URL to do it
+export async function decodeImage(bytes, mimeType, name) {
+  if (assetLoader) {
+    return assetLoader.decodeImage(bytes, mimeType, name);
+  }
+  return new Promise((resolve, reject) => {
+    let img = new Image();
+    let url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+    img.onload = function () {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = function () {
+      URL.revokeObjectURL(url);
+      reject(new Error("Couldn't decode image " + name + " (" + mimeType + ")"));
+    };
+    img.src = url;
+  });
+}
+
+// 32 bit FNV-1a, enough to tell whether a compiled bundle is stale
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+// errorCallback is called when the request doesn't get a response at all
+export function uploadDataUrl(path, blob, callback, errorCallback) {
   let req = new XMLHttpRequest();
   req.addEventListener("load", function (res) {
     callback.apply(null, [res]);
   });
+  if (errorCallback) {
+    req.addEventListener("error", errorCallback);
+    req.addEventListener("abort", errorCallback);
+  }
   req.open("POST", path, true);
   req.send(blob);
 }
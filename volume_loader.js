@@ -0,0 +1,44 @@
+import {
+  halfToFloat
+} from './hdr_loader.js'
+
+// A decoder for voxel grids in Mitsuba's .vol format, which most smoke and cloud exporters can write.
+// Grids become {width, height, depth, data, max, bounds} records with one float per voxel, x varying fastest.
+
+const encodings = { float: 1, half: 2, byte: 3 };
+
+/**
+ * Float, half or byte grids. Only the first channel of grids with more than one is kept, as the density.
+ */
+export function decodeVol(buffer) {
+  let view = new DataView(buffer);
+  if (String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2)) !== 'VOL' || view.getUint8(3) !== 3) {
+    throw new Error("Not a version 3 .vol file");
+  }
+  let encoding = view.getInt32(4, true);
+  let [width, height, depth, channels] = [8, 12, 16, 20].map((offset) => { return view.getInt32(offset, true) });
+  let bounds = [24, 28, 32, 36, 40, 44].map((offset) => { return view.getFloat32(offset, true) });
+  let data = new Float32Array(width * height * depth);
+  let max = 0;
+  for (let i = 0; i < data.length; i++) {
+    let at = i * channels;
+    if (encoding === encodings.float) {
+      data[i] = view.getFloat32(48 + at * 4, true);
+    } else if (encoding === encodings.half) {
+      data[i] = halfToFloat(view.getUint16(48 + at * 2, true));
+    } else if (encoding === encodings.byte) {
+      data[i] = view.getUint8(48 + at) / 255;
+    } else {
+      throw new Error("Unsupported .vol encoding " + encoding);
+    }
+    max = Math.max(max, data[i]);
+  }
+  return {
+    width: width,
+    height: height,
+    depth: depth,
+    data: data,
+    max: max,
+    bounds: { min: bounds.slice(0, 3), max: bounds.slice(3, 6) }
+  };
+}
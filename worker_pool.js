@@ -0,0 +1,70 @@
+// Hands jobs to a fixed number of module workers, queueing the rest until a worker is free
+export class WorkerPool {
+  constructor(url, size) {
+    this.idle = [];
+    this.workers = [];
+    this.queue = [];
+    this.pending = {};
+    this.nextId = 0;
+    for (let i = 0; i < size; i++) {
+      let worker = new Worker(url, { type: 'module' });
+      worker.onmessage = (e) => {
+        let job = this.pending[e.data.id];
+        delete this.pending[e.data.id];
+        if (e.data.error) {
+          job.reject(new Error(e.data.error));
+        } else {
+          job.resolve(e.data.result);
+        }
+        this._release(worker);
+      };
+      // Errors outside of a job, like a module failing to load, still fail the job the worker was given
+      worker.onerror = (e) => {
+        let job = this.pending[worker.jobId];
+        delete this.pending[worker.jobId];
+        if (job) {
+          job.reject(new Error(e.message));
+        }
+        this._release(worker);
+      };
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  static defaultSize(jobs) {
+    let cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 4;
+    return Math.max(1, Math.min(cores, jobs));
+  }
+
+  run(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      let id = this.nextId++;
+      this.pending[id] = { resolve: resolve, reject: reject };
+      this.queue.push({ message: Object.assign({ id: id }, message), transfer: transfer });
+      this._dispatch();
+    });
+  }
+
+  terminate() {
+    this.workers.forEach((worker) => {
+      worker.terminate();
+    });
+    this.workers = [];
+    this.idle = [];
+  }
+
+  _release(worker) {
+    this.idle.push(worker);
+    this._dispatch();
+  }
+
+  _dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      let job = this.queue.shift();
+      let worker = this.idle.pop();
+      worker.jobId = job.message.id;
+      worker.postMessage(job.message, job.transfer);
+    }
+  }
+}